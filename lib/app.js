@@ -16,19 +16,249 @@
 
 const EventEmitter = require('events').EventEmitter;
 const InterfaceDef = require('./interface-def');
+const { ArgListToken, readParams, readDependencies, readConformingDependencies, readArgNames, isClass } = require('./arg-names');
+const { makeLogger } = require('./logger');
+const { Profiler, toTraceEvents, writeTrace } = require('./profile');
+const { makeInterceptor, isInterceptable, wrapService } = require('./intercept');
+const { parsePattern, matches, addRoute, removeRoute } = require('./routing');
 
-const DefaultLogger = msg => console.log( msg );
+// A token used to identify the IPC mode of an IPCService factory function.
+const IPCModeToken = '__understruct_ipc_mode';
 
-// A token used to pre-identify function arguments on a function instance.
-const ArgListToken = '__understruct_arguments';
+// A token used to reference the IPCService of an IPCService factory function.
+const IPCServiceToken = '__understruct_ipc_service';
+
+// Default time, in ms, to wait for a service to stop.
+const StopTimeout = 1000 * 10;
+
+// The process signals which stop the backbone when signal handling is enabled.
+const StopSignals = ['SIGINT','SIGTERM'];
+
+// Default time, in ms, to wait for a service health check.
+const HealthTimeout = 1000 * 5;
+
+// Service health statuses, in order of increasing severity.
+const HealthStatuses = ['ok','degraded','failed'];
+
+/**
+ * A lazy service definition; see lazy().
+ */
+class LazyDefinition {
+
+    constructor( definition ) {
+        this.definition = definition;
+    }
+}
+
+/**
+ * Mark a service definition as lazy.
+ * A lazy service is only instantiated the first time it is used - i.e.
+ * when it is injected into another service, accessed through the backbone's
+ * 'services' property, or requested using App.get().
+ * @param def   A service factory function or class.
+ * @return A lazy service definition.
+ */
+function lazy( def ) {
+    if( typeof def !== 'function' ) {
+        throw new TypeError('Lazy service definition must be a factory function or class');
+    }
+    return new LazyDefinition( def );
+}
+
+/**
+ * A service definition contributing to a collection; see contributes().
+ */
+class Contribution {
+
+    constructor( collection, definition, priority ) {
+        this.collection = collection;
+        this.definition = definition;
+        this.priority = priority;
+    }
+}
+
+/**
+ * Mark a service definition as contributing to a named collection.
+ * The service is bound under its own name, and is also added to the
+ * collection, which is bound to the backbone as a list of all contributed
+ * services ordered by priority.
+ * @param collection    The collection name.
+ * @param def           A service definition.
+ * @param options       Options:
+ *                      - priority: The contribution's priority; services
+ *                        with a higher priority appear earlier in the
+ *                        collection. Defaults to 0.
+ * @return A contributing service definition.
+ */
+function contributes( collection, def, options = {} ) {
+    const { priority = 0 } = options;
+    if( typeof collection !== 'string' ) {
+        throw new TypeError('Collection name must be a string');
+    }
+    if( typeof priority !== 'number' ) {
+        throw new TypeError('Contribution priority must be a number');
+    }
+    if( def instanceof LazyDefinition || def instanceof Contribution ) {
+        throw new TypeError(`Contribution to '${collection}' must be an eager service definition`);
+    }
+    return new Contribution( collection, def, priority );
+}
+
+/**
+ * Read the definition of a possibly lazy or contributing service.
+ */
+function unwrapDefinition( def ) {
+    if( def instanceof LazyDefinition || def instanceof Contribution ) {
+        return def.definition;
+    }
+    return def;
+}
+
+// The names of the interfaces provided by each bound service, keyed by service.
+const Provided = new WeakMap();
+
+/**
+ * Read the names of the interfaces declared by a service, or by a service's
+ * factory function or class, using its 'provides' property.
+ * @param value A service, factory function or class.
+ * @return A list of interface names.
+ */
+function readProvides( value ) {
+    if( !isInterceptable( value ) || value.provides === undefined ) {
+        return [];
+    }
+    let { provides } = value;
+    if( typeof provides === 'string' ) {
+        return [ provides ];
+    }
+    if( Array.isArray( provides ) && provides.every( name => typeof name === 'string') ) {
+        return provides.slice();
+    }
+    throw new TypeError(`The 'provides' property must be an interface name or a list of interface names`);
+}
 
 /// The app backbone.
 class App extends EventEmitter {
 
-    constructor() {
+    /**
+     * Create a new backbone.
+     * @param parent    (Optional) a parent backbone. Services bound to the
+     *                  parent are visible through this backbone, unless
+     *                  hidden by a service bound under the same name.
+     */
+    constructor( parent ) {
         super();
-        // A map of intantiated services, keyed by service name.
-        this.services = {};
+        // The parent backbone, if any.
+        this.parent = parent;
+        // A map of intantiated services, keyed by service name. Falls back
+        // to the parent's services when the backbone has a parent. Note that
+        // a lazy service which hasn't been instantiated reads as a promise
+        // resolving to the service; see get().
+        this.services = parent ? Object.create( parent.services ) : {};
+        // The set of child scopes created from this backbone.
+        this._scopes = new Set();
+        // A list of the names of the services bound in each layer, in layer order.
+        this._layers = [];
+        // A map of process signal handlers, keyed by signal name.
+        this._signalHandlers = {};
+        // The backbone's logger.
+        this.logger = makeLogger();
+        // A map of service definition details, keyed by service name.
+        this._definitions = {};
+        // A list of dependency edges between services.
+        this._edges = [];
+        // The name of the service whose factory function is currently executing.
+        this._requester = undefined;
+        // The startup profiler.
+        this._profiler = new Profiler();
+        // Lazy services not yet instantiated, keyed by service name.
+        this._lazy = {};
+        // The contributions to each service collection, keyed by collection name.
+        this._collections = {};
+        // A counter used to order contributions of equal priority.
+        this._contributionCount = 0;
+        // The bind order of each service, keyed by service name. A service
+        // keeps its position when it's rebound, or when a lazy service is
+        // instantiated.
+        this._bindOrder = {};
+        // A counter used to order bound services.
+        this._bindCount = 0;
+        // A list of the interceptors registered with the backbone.
+        this._interceptors = [];
+        // The set of service proxies created for interceptors.
+        this._proxies = new WeakSet();
+        // A list of wildcard event listeners.
+        this._wildcards = [];
+        // A list of event tap functions.
+        this._taps = [];
+        // The event routes installed on services, keyed by service name.
+        this._routes = new Map();
+        // A list of qualified event listeners waiting for their event source
+        // to be bound.
+        this._pendingListeners = [];
+        // If true then diagnostics are logged for conforming-interface
+        // listeners which don't receive any services.
+        this.debug = false;
+        // In debug mode, a list of the conforming-interface listeners.
+        this._conformingListeners = [];
+        // Set once the backbone has started.
+        this._started = false;
+        // A map of compiled named interfaces, keyed by interface name. Falls
+        // back to the parent's interfaces when the backbone has a parent.
+        this._interfaces = parent ? Object.create( parent._interfaces ) : {};
+        if( parent ) {
+            // Forward the parent's service bind and unbind events, so that
+            // callbacks registered on this backbone are notified of services
+            // bound to the parent; except for services hidden by a service on
+            // this backbone.
+            const forward = eventName => event => {
+                if( !this.services.hasOwnProperty( event.name ) ) {
+                    this.emit( eventName, event );
+                }
+            };
+            this._parentBindHandler = forward('service-bind');
+            this._parentUnbindHandler = forward('service-unbind');
+            parent.on('service-bind', this._parentBindHandler );
+            parent.on('service-unbind', this._parentUnbindHandler );
+        }
+    }
+    /**
+     * Create a child scope of this backbone.
+     * A child scope is a backbone whose service lookups - through its
+     * 'services' property, service bind callbacks, conforming-interface
+     * lookups and factory function dependencies - fall back to this backbone
+     * when a service isn't bound in the scope. The scope can be stopped
+     * independently of this backbone; stopping this backbone stops all of its
+     * child scopes first.
+     * @param layers    A list of service layer definitions, started within
+     *                  the scope.
+     * @param options   Startup options; see start(). The scope's logger
+     *                  and debug mode default to this backbone's.
+     * @return A promise resolving to the started scope.
+     */
+    async createScope( layers, options = {} ) {
+        if( !Array.isArray( layers ) ) {
+            throw new TypeError('Service layers must be an array');
+        }
+        options = Object.assign({ log: this.logger, debug: this.debug }, normalizeOptions( options ) );
+        const scope = new App( this );
+        this._scopes.add( scope );
+        await startLayers( scope, layers, options );
+        return scope;
+    }
+    /**
+     * Record a dependency edge between two services.
+     * @param from  The name of the dependent service.
+     * @param to    The name of the service depended on.
+     * @param type  The edge type; one of 'backward', 'forward' or 'conforming'.
+     */
+    _addEdge( from, to, type ) {
+        let exists = this._edges.some( edge => {
+            return edge.from === from && edge.to === to && edge.type === type;
+        });
+        if( !exists ) {
+            this._edges.push({ from, to, type });
+        }
     }
     /**
      * Add an event listener.
@@ -40,24 +270,45 @@ class App extends EventEmitter {
      * Qualified event names may themselves be qualified (e.g. 's1:s2:event')
      * - this can make sense if the referenced service is itself a backbone.
      * An empty qualifier (e.g. ':event') refers directly to the backbone.
+     * Wildcards can be used to listen to all events emitted by a service
+     * ('service:*'), to an event emitted by any service ('*:event'), or to
+     * all events emitted by any service ('**'). Wildcard listeners are called
+     * with an object with the service and event names, followed by the event
+     * arguments.
      * @param eventName A possibly qualified event name.
      * @param listener  An event callback function.
      * @param method    The listener method, either 'on' or 'once'.
      */
     _addEventListener( eventName, listener, method ) {
+        if( typeof eventName !== 'string' ) {
+            super[method]( eventName, listener );
+            return;
+        }
+        // Check for a wildcard pattern.
+        let pattern = parsePattern( eventName );
+        if( pattern ) {
+            if( typeof listener !== 'function' ) {
+                throw new TypeError('Listener must be a function');
+            }
+            this._wildcards.push( Object.assign( pattern, { listener, once: method == 'once' }) );
+            this._startRouting();
+            return;
+        }
         // Check for a qualified event name with a ':' separator.
         let idx = eventName.indexOf(':');
         if( idx > 0 ) {
             // Lookup the event source.
             let sourceName = eventName.substring( 0, idx );
-            let source = this.services[sourceName];
+            let source = this._peek( sourceName );
             if( source === undefined ) {
                 // No event source currently bound, register a listener for a
                 // service bind event using the event source name and try adding
                 // the listener again when a service of the required name registers.
-                const app = this;
-                this.onServiceBind( sourceName, () => {
-                    app._addEventListener( eventName, listener, method );
+                const pending = { eventName, listener };
+                this._pendingListeners.push( pending );
+                pending.handle = this.onServiceBind( sourceName, () => {
+                    this._pendingListeners = this._pendingListeners.filter( p => p !== pending );
+                    this._addEventListener( eventName, listener, method );
                 });
                 // Do no more.
                 return;
@@ -82,11 +333,382 @@ class App extends EventEmitter {
     }
     /**
      * Bind a service instance to a specified name on the backbone.
+     * Throws an error if a service is already bound to the name on this
+     * backbone; use rebind() to replace a bound service. (Note that a
+     * service bound to a parent backbone can be hidden by binding a service
+     * of the same name to a child scope.)
+     * The service can declare the named interfaces it provides using a
+     * 'provides' property - either on the service itself, or on its class;
+     * an error is thrown if the service doesn't conform to each interface.
+     * @param name      The service name.
+     * @param service   The service instance.
+     * @param provides  (Optional) a list of the names of further interfaces
+     *                  the service provides; e.g. as declared by the
+     *                  service's factory function.
      */
-    bind( name, service ) {
+    bind( name, service, provides = [] ) {
+        if( this.services.hasOwnProperty( name ) ) {
+            throw new Error(`Service already bound: '${name}'`);
+        }
+        provides = this._checkProvides( name, service, provides );
+        service = this._wrap( name, service );
+        if( provides.length > 0 ) {
+            Provided.set( service, provides );
+        }
         this.services[name] = service;
+        this._recordBindOrder( name );
         this.emit('service-bind', { name, service });
     }
+    /**
+     * Record the bind order of a service, if not already recorded.
+     * @param name  The service name.
+     */
+    _recordBindOrder( name ) {
+        if( this._bindOrder[name] === undefined ) {
+            this._bindOrder[name] = this._bindCount++;
+        }
+    }
+    /**
+     * Define a named interface.
+     * Named interfaces can be used in place of an interface definition
+     * wherever one is accepted - e.g. listConformingServices(),
+     * onConformingServiceBind() or conforming dependencies - in which case
+     * they select the services which declare that they provide the interface.
+     * Interfaces defined on a backbone are visible to its child scopes.
+     * @param name  The interface name.
+     * @param ifdef An interface definition; see interface-def.js.
+     */
+    defineInterface( name, ifdef ) {
+        if( typeof name !== 'string' ) {
+            throw new TypeError('Interface name must be a string');
+        }
+        if( this._interfaces.hasOwnProperty( name ) ) {
+            throw new Error(`Interface already defined: '${name}'`);
+        }
+        this._interfaces[name] = InterfaceDef.compile( ifdef );
+    }
+    /**
+     * Check that a service conforms to the named interfaces it provides.
+     * @param name      The service name.
+     * @param service   The service instance.
+     * @param provides  A list of names of interfaces declared for the service,
+     *                  in addition to those declared by the service itself.
+     * @return A list of the names of all interfaces the service provides.
+     */
+    _checkProvides( name, service, provides = [] ) {
+        let names = provides.concat( readProvides( service ) );
+        if( isInterceptable( service ) && service.constructor !== Object ) {
+            names = names.concat( readProvides( service.constructor ) );
+        }
+        names = Array.from( new Set( names ) );
+        names.forEach( ifname => {
+            const iftest = this._interfaces[ifname];
+            if( iftest === undefined ) {
+                throw new Error(`Unknown interface '${ifname}' provided by service '${name}'`);
+            }
+            const mismatches = InterfaceDef.explain( iftest, service );
+            if( mismatches.length > 0 ) {
+                const reasons = mismatches.map( ({ path, expected, actual }) => {
+                    return `property '${path}' expected ${expected}, got ${actual}`;
+                });
+                let err = new Error(`Service '${name}' doesn't conform to interface '${ifname}': ${reasons.join('; ')}`);
+                err.mismatches = mismatches;
+                throw err;
+            }
+        });
+        return names;
+    }
+    /**
+     * Compile an interface definition or named interface.
+     * A named interface compiles to a test selecting the services which
+     * provide the interface.
+     * @param ifdef An interface definition, or the name of an interface
+     *              defined using defineInterface().
+     * @return A compiled interface definition.
+     */
+    _compileInterface( ifdef ) {
+        if( typeof ifdef !== 'string' ) {
+            return InterfaceDef.compile( ifdef );
+        }
+        const named = this._interfaces[ifdef];
+        if( named === undefined ) {
+            throw new Error(`Unknown interface: '${ifdef}'`);
+        }
+        const iftest = service => {
+            const provides = Provided.get( service );
+            return provides !== undefined && provides.includes( ifdef );
+        };
+        iftest.__IsIFDef = true;
+        iftest.__properties = named.__properties;
+        return iftest;
+    }
+    /**
+     * Replace the service instance bound to a specified name.
+     * Emits a 'service-unbind' event for the replaced service, followed by a
+     * 'service-bind' event for the new service; so callbacks registered using
+     * onServiceBind() with once = false are called with the new service.
+     * Note that services which received the replaced service as a dependency
+     * keep their reference to it.
+     * @param name      The service name.
+     * @param service   The new service instance.
+     * @param options   Options:
+     *                  - stop: If true then the replaced service is stopped,
+     *                    once the new service is bound, by calling its stop()
+     *                    or dispose() method.
+     *                  - timeout: The time, in ms, to wait for the replaced
+     *                    service to stop.
+     *                  - provides: A list of the names of the interfaces the
+     *                    new service provides, in addition to those it
+     *                    declares itself; defaults to the interfaces provided
+     *                    by the replaced service.
+     * @return A promise resolving to the replaced service.
+     */
+    async rebind( name, service, options = {} ) {
+        const { stop = false, timeout = StopTimeout } = options;
+        if( !this.services.hasOwnProperty( name ) ) {
+            throw new Error(`Service not bound: '${name}'`);
+        }
+        if( this._collections[name] ) {
+            throw new Error(`Can't rebind service collection: '${name}'`);
+        }
+        const replaced = this._peek( name );
+        let { provides } = options;
+        if( provides === undefined ) {
+            const lazy = this._lazy[name];
+            provides = lazy ? readProvides( lazy.def ) : (Provided.get( replaced ) || []);
+        }
+        // Check the new service before the replaced service is removed, so
+        // that the replaced service stays bound if the check fails.
+        this._checkProvides( name, service, provides );
+        delete this.services[name];
+        delete this._lazy[name];
+        this.emit('service-unbind', { name, service: replaced });
+        this.bind( name, service, provides );
+        // Replace any contributions made by the service.
+        this._listContributions( name ).forEach( ({ collection, contribution }) => {
+            this._withdraw( collection, contribution );
+            this._addContribution( collection, Object.assign( {}, contribution, {
+                service: this._wrap( collection, this.services[name] )
+            }));
+        });
+        if( stop ) {
+            await stopService( name, replaced, timeout );
+        }
+        return replaced;
+    }
+    /**
+     * Unbind the service bound to a specified name.
+     * Emits a 'service-unbind' event for the service. Note that services
+     * which received the unbound service as a dependency keep their reference
+     * to it.
+     * @param name      The service name.
+     * @param options   Options:
+     *                  - stop: If true then the service is stopped once
+     *                    unbound, by calling its stop() or dispose() method.
+     *                  - timeout: The time, in ms, to wait for the service
+     *                    to stop.
+     * @return A promise resolving to the unbound service.
+     */
+    async unbind( name, options = {} ) {
+        const { stop = false, timeout = StopTimeout } = options;
+        if( !this.services.hasOwnProperty( name ) ) {
+            throw new Error(`Service not bound: '${name}'`);
+        }
+        // Unbinding a collection withdraws all of its contributions.
+        if( this._collections[name] ) {
+            const services = this.services[name];
+            this._collections[name].forEach( contribution => this._withdraw( name, contribution ) );
+            return services;
+        }
+        const service = this._peek( name );
+        delete this.services[name];
+        delete this._lazy[name];
+        // Withdraw any contributions made by the service.
+        this._listContributions( name ).forEach( ({ collection, contribution }) => {
+            this._withdraw( collection, contribution );
+        });
+        delete this._bindOrder[name];
+        // Remove the service from the service graph.
+        delete this._definitions[name];
+        this._layers = this._layers.map( names => names.filter( n => n !== name ) );
+        this._edges = this._edges.filter( edge => edge.from !== name && edge.to !== name );
+        this.emit('service-unbind', { name, service });
+        if( stop ) {
+            await stopService( name, service, timeout );
+        }
+        return service;
+    }
+    /**
+     * Contribute a service to a named service collection.
+     * A collection is bound to the backbone as a list of the services
+     * contributed to it, ordered by priority (highest first) and then by
+     * the order they were contributed in; so a collection is injected into
+     * factory functions as an ordered list. A 'service-bind' event is emitted
+     * for each contribution, with the collection name, the contributed
+     * service, and the contribution's priority and contributor. Note that
+     * the list is replaced each time the collection changes, so services
+     * which received the collection as a dependency keep their reference to
+     * the list as it was.
+     * @param collection    The collection name.
+     * @param service       The contributed service instance.
+     * @param options       Options:
+     *                      - priority: The contribution's priority; defaults
+     *                        to 0.
+     *                      - contributor: The name of the service making the
+     *                        contribution, if it is bound to the backbone.
+     * @return A handle whose dispose() method withdraws the contribution.
+     */
+    contribute( collection, service, options = {} ) {
+        const { priority = 0, contributor } = options;
+        if( typeof collection !== 'string' ) {
+            throw new TypeError('Collection name must be a string');
+        }
+        if( typeof priority !== 'number' ) {
+            throw new TypeError('Contribution priority must be a number');
+        }
+        if( this.services.hasOwnProperty( collection ) && !this._collections[collection] ) {
+            throw new Error(`Service isn't a collection: '${collection}'`);
+        }
+        const contribution = {
+            service:    this._wrap( collection, service ),
+            priority,
+            contributor,
+            order:      this._contributionCount++
+        };
+        this._addContribution( collection, contribution );
+        return {
+            dispose: () => this._withdraw( collection, contribution )
+        };
+    }
+    /**
+     * Add a contribution to a service collection.
+     */
+    _addContribution( collection, contribution ) {
+        const contributions = (this._collections[collection] || []).concat( contribution );
+        this._setCollection( collection, contributions );
+        let { service, priority, contributor } = contribution;
+        this.emit('service-bind', { name: collection, service, priority, contributor, contribution: true });
+    }
+    /**
+     * Withdraw a contribution from a service collection. The collection is
+     * unbound once its last contribution is withdrawn.
+     */
+    _withdraw( collection, contribution ) {
+        const contributions = this._collections[collection];
+        if( !contributions || !contributions.includes( contribution ) ) {
+            return;
+        }
+        this._setCollection( collection, contributions.filter( c => c !== contribution ) );
+        let { service, priority, contributor } = contribution;
+        this.emit('service-unbind', { name: collection, service, priority, contributor, contribution: true });
+    }
+    /**
+     * Set the contributions to a service collection, and bind the ordered
+     * list of contributed services.
+     */
+    _setCollection( collection, contributions ) {
+        if( contributions.length == 0 ) {
+            delete this._collections[collection];
+            delete this.services[collection];
+            return;
+        }
+        contributions = contributions.slice().sort( ( a, b ) => {
+            return b.priority - a.priority || a.order - b.order;
+        });
+        this._collections[collection] = contributions;
+        this.services[collection] = contributions.map( c => c.service );
+    }
+    /**
+     * Find the contributions to a named service collection.
+     * @param name  A service name.
+     * @return A list of contributions; or undefined if the named service
+     * isn't a collection. Collections bound to a parent backbone are
+     * included.
+     */
+    _findCollection( name ) {
+        const owner = this._owner( name );
+        return owner && owner._collections[name];
+    }
+    /**
+     * List the contributions made by a named service to this backbone's
+     * collections.
+     */
+    _listContributions( name ) {
+        const result = [];
+        Object.keys( this._collections ).forEach( collection => {
+            this._collections[collection]
+                .filter( contribution => contribution.contributor === name )
+                .forEach( contribution => result.push({ collection, contribution }) );
+        });
+        return result;
+    }
+    /**
+     * Register an interceptor for the method calls of one or more services.
+     * Services selected by the interceptor are bound to the backbone wrapped
+     * in a proxy, which calls the interceptor's before, after and error
+     * functions around each method call; see makeInterceptor() in
+     * intercept.js. Each function is called with a call object with the
+     * service name, the method name and the call arguments. The functions
+     * are called synchronously; for methods returning a promise, the after
+     * or error function is called once the promise settles.
+     * Interceptors apply uniformly to local services, IPC standalone services
+     * and IPC client stubs. Note that services which are already bound when
+     * the interceptor is registered are wrapped in place, but services which
+     * received the unwrapped service as a dependency keep their reference to
+     * it; use the 'interceptors' startup option to register interceptors
+     * before any service is bound.
+     * @param target        A service name, or an interface definition
+     *                      selecting all services conforming to the interface.
+     * @param interceptor   An object with optional before, after and error
+     *                      functions, and an optional list of method names.
+     * @return A handle whose dispose() method removes the interceptor.
+     */
+    intercept( target, interceptor ) {
+        const record = makeInterceptor( target, interceptor );
+        this._interceptors.push( record );
+        // Wrap selected services already bound to this backbone.
+        Object.keys( this.services ).forEach( name => {
+            let service = this._peek( name );
+            if( this._collections[name] ) {
+                // Wrap the services contributed to a collection.
+                let contributions = this._collections[name].map( contribution => {
+                    let selected = record.selects( name, contribution.service );
+                    return !selected ? contribution : Object.assign( {}, contribution, {
+                        service: this._wrap( name, contribution.service )
+                    });
+                });
+                this._setCollection( name, contributions );
+            }
+            else if( service !== undefined && record.selects( name, service ) ) {
+                this.services[name] = this._wrap( name, service );
+            }
+        });
+        return {
+            dispose: () => {
+                this._interceptors = this._interceptors.filter( r => r !== record );
+            }
+        };
+    }
+    /**
+     * Wrap a service in an interceptor proxy, if the backbone has any
+     * interceptors and the service isn't already wrapped.
+     * @param name      The service name.
+     * @param service   The service instance.
+     * @return The service, or a proxy for the service.
+     */
+    _wrap( name, service ) {
+        if( this._interceptors.length == 0 || !isInterceptable( service ) || this._proxies.has( service ) ) {
+            return service;
+        }
+        const proxy = wrapService( name, service, () => this._interceptors );
+        this._proxies.add( proxy );
+        // Carry over the interfaces provided by the service.
+        const provides = Provided.get( service );
+        if( provides ) {
+            Provided.set( proxy, provides );
+        }
+        return proxy;
+    }
     /**
      * Add an event listener.
      */
@@ -99,12 +721,303 @@ class App extends EventEmitter {
     once( eventName, listener ) {
         this._addEventListener( eventName, listener, 'once');
     }
+    /**
+     * Add an event listener.
+     */
+    addListener( eventName, listener ) {
+        this._addEventListener( eventName, listener, 'on');
+    }
+    /**
+     * Remove an event listener.
+     * Accepts the same qualified event names and wildcard patterns as on(),
+     * including qualified names whose event source hasn't been bound yet.
+     */
+    removeListener( eventName, listener ) {
+        if( typeof eventName !== 'string' ) {
+            return super.removeListener( eventName, listener );
+        }
+        // Remove a wildcard listener.
+        let pattern = parsePattern( eventName );
+        if( pattern ) {
+            let idx = this._wildcards.findIndex( wildcard => {
+                return wildcard.source === pattern.source
+                    && wildcard.event === pattern.event
+                    && wildcard.listener === listener;
+            });
+            if( idx > -1 ) {
+                this._wildcards.splice( idx, 1 );
+            }
+            return this;
+        }
+        let idx = eventName.indexOf(':');
+        if( idx > 0 ) {
+            // Check for a listener still waiting for its event source.
+            let pending = this._pendingListeners.find( p => {
+                return p.eventName === eventName && p.listener === listener;
+            });
+            if( pending ) {
+                pending.handle.dispose();
+                this._pendingListeners = this._pendingListeners.filter( p => p !== pending );
+                return this;
+            }
+            // Remove the listener from the event source.
+            let source = this._peek( eventName.substring( 0, idx ) );
+            if( source instanceof EventEmitter ) {
+                source.removeListener( eventName.substring( idx + 1 ), listener );
+            }
+            return this;
+        }
+        if( idx == 0 ) {
+            eventName = eventName.substring( 1 );
+        }
+        return super.removeListener( eventName, listener );
+    }
+    /**
+     * Remove an event listener; see removeListener().
+     */
+    off( eventName, listener ) {
+        return this.removeListener( eventName, listener );
+    }
+    /**
+     * Emit an event from the backbone.
+     * The event is passed to any event taps before being emitted; except
+     * for EventEmitter's own listener management events.
+     */
+    emit( eventName, ...args ) {
+        if( eventName !== 'newListener' && eventName !== 'removeListener' ) {
+            this._taps.forEach( tap => tap({ service: '', event: eventName }, ...args ) );
+        }
+        return super.emit( eventName, ...args );
+    }
+    /**
+     * Tap all events flowing through the backbone.
+     * The tap function is called for every event emitted by the backbone or
+     * by any EventEmitter service, with an object with the service and event
+     * names (the service name is empty for the backbone's own events),
+     * followed by the event arguments.
+     * @param tap   A tap function.
+     * @return A handle whose dispose() method removes the tap.
+     */
+    tap( tap ) {
+        if( typeof tap !== 'function' ) {
+            throw new TypeError('Tap must be a function');
+        }
+        this._taps.push( tap );
+        this._startRouting();
+        return {
+            dispose: () => {
+                this._taps = this._taps.filter( t => t !== tap );
+            }
+        };
+    }
+    /**
+     * Start routing the events emitted by services to the backbone's
+     * wildcard listeners and taps. Events are routed from the services
+     * visible through the backbone, including services bound to a parent
+     * backbone.
+     */
+    _startRouting() {
+        if( this._routeBindHandler ) {
+            return;
+        }
+        this._listServiceNames().forEach( name => this._route( name, this._peek( name ) ) );
+        this._routeBindHandler = ({ name, service, contribution }) => {
+            if( !contribution ) {
+                this._route( name, service );
+            }
+        };
+        this._routeUnbindHandler = ({ name, contribution }) => {
+            if( !contribution ) {
+                this._unroute( name );
+            }
+        };
+        super.on('service-bind', this._routeBindHandler );
+        super.on('service-unbind', this._routeUnbindHandler );
+    }
+    /**
+     * Route the events emitted by a service.
+     * @param name      The service name.
+     * @param service   The service; ignored if not an EventEmitter.
+     */
+    _route( name, service ) {
+        this._unroute( name );
+        if( !(service instanceof EventEmitter) || service === this ) {
+            return;
+        }
+        const route = ( event, args ) => this._dispatch( name, event, args );
+        addRoute( service, route );
+        this._routes.set( name, { service, route });
+    }
+    /**
+     * Stop routing the events emitted by a service.
+     * @param name  The service name.
+     */
+    _unroute( name ) {
+        const entry = this._routes.get( name );
+        if( entry ) {
+            removeRoute( entry.service, entry.route );
+            this._routes.delete( name );
+        }
+    }
+    /**
+     * Dispatch an event emitted by a service to the backbone's wildcard
+     * listeners and taps.
+     * @param name  The service name.
+     * @param event The event name.
+     * @param args  The event arguments.
+     * @return true if the event was passed to a wildcard listener.
+     */
+    _dispatch( name, event, args ) {
+        const source = { service: name, event };
+        const listeners = this._wildcards.filter( wildcard => matches( wildcard, name, event ) );
+        listeners.forEach( wildcard => {
+            if( wildcard.once ) {
+                this._wildcards = this._wildcards.filter( w => w !== wildcard );
+            }
+            wildcard.listener.call( this, source, ...args );
+        });
+        this._taps.forEach( tap => tap( source, ...args ) );
+        return listeners.length > 0;
+    }
+    /**
+     * Get a service bound to the backbone.
+     * Lazy services are instantiated if they haven't already been.
+     * @param name  The service name.
+     * @return A promise resolving to the service.
+     */
+    async get( name ) {
+        const owner = this._owner( name );
+        if( !owner ) {
+            throw new Error(`Service not bound: '${name}'`);
+        }
+        if( owner._lazy[name] ) {
+            return owner._instantiateLazy( name );
+        }
+        return owner.services[name];
+    }
+    /**
+     * Find the backbone a named service is bound to; either this backbone,
+     * or one of its ancestors.
+     * @param name  The service name.
+     * @return The backbone; or undefined if no service is bound to the name.
+     */
+    _owner( name ) {
+        let app = this;
+        while( app && !app.services.hasOwnProperty( name ) ) {
+            app = app.parent;
+        }
+        return app;
+    }
+    /**
+     * Test whether a named service is a lazy service which hasn't yet been
+     * instantiated.
+     */
+    _isPendingLazy( name ) {
+        const owner = this._owner( name );
+        return owner !== undefined && owner._lazy[name] !== undefined;
+    }
+    /**
+     * Read a named service without instantiating lazy services.
+     * @param name  The service name.
+     * @return The service; or undefined if the service isn't bound, or is a
+     * lazy service which hasn't yet been instantiated.
+     */
+    _peek( name ) {
+        return this._isPendingLazy( name ) ? undefined : this.services[name];
+    }
+    /**
+     * Bind a lazy service to the backbone. The service is instantiated when
+     * first accessed through the 'services' property; until then, the
+     * property returns a promise resolving to the service.
+     * @param name      The service name.
+     * @param def       The service's factory function or class.
+     * @param layer     (Optional) the index of the layer containing the service.
+     * @param timeout   (Optional) the time, in ms, allowed to instantiate the
+     *                  service.
+     */
+    _bindLazy( name, def, layer, timeout ) {
+        if( this.services.hasOwnProperty( name ) ) {
+            throw new Error(`Service already bound: '${name}'`);
+        }
+        this._lazy[name] = { def, layer, timeout, instantiating: undefined };
+        this._recordBindOrder( name );
+        Object.defineProperty( this.services, name, {
+            configurable:   true,
+            enumerable:     true,
+            get:            () => this._instantiateLazy( name )
+        });
+    }
+    /**
+     * Instantiate a lazy service and bind the instance to the backbone.
+     * The service's startup timeout, if any, applies to its instantiation,
+     * and the time taken is recorded in the startup profile.
+     * @param name  The service name.
+     * @return A promise resolving to the service.
+     */
+    _instantiateLazy( name ) {
+        const entry = this._lazy[name];
+        if( !entry.instantiating ) {
+            const { layer, timeout } = entry;
+            this.logger.info(`Instantiating lazy service ${name}...`, { service: name });
+            this._profiler.startService( name, layer, true );
+            // Set if the service exceeds its timeout; the service is then
+            // stopped as soon as it becomes available.
+            let timedOut = false;
+            let loading = load( name, entry.def, this ).then( service => {
+                if( timedOut ) {
+                    return stopService( name, service, StopTimeout ).then( () => service );
+                }
+                // Check whether the service has been unbound, or the
+                // backbone stopped, whilst instantiating.
+                if( this._lazy[name] !== entry ) {
+                    return stopService( name, service, StopTimeout ).then( () => {
+                        throw new Error(`Service '${name}' unbound whilst instantiating`);
+                    });
+                }
+                // Check that the service provides the interfaces it declares
+                // before the lazy entry is replaced, so that instantiation
+                // can be retried if the check fails.
+                const provides = readProvides( entry.def );
+                try {
+                    this._checkProvides( name, service, provides );
+                }
+                catch( e ) {
+                    stopService( name, service, StopTimeout ).catch( e => {
+                        this.logger.warn(`Failed to stop service "${name}": ${e.message}`, { service: name });
+                    });
+                    throw e;
+                }
+                const duration = this._profiler.endService( name );
+                this.logger.debug(`Instantiated ${name} in ${duration}ms`, { service: name, layer, duration });
+                this.emit('service-instantiated', { name, layer, duration, lazy: true });
+                delete this._lazy[name];
+                delete this.services[name];
+                this.bind( name, service, provides );
+                return this.services[name];
+            });
+            if( timeout !== undefined ) {
+                loading = withTimeout( loading, timeout, () => {
+                    timedOut = true;
+                    return new Error(`Timeout instantiating lazy service '${name}'`);
+                });
+            }
+            entry.instantiating = loading.catch( err => {
+                // Allow instantiation to be retried.
+                entry.instantiating = undefined;
+                throw err;
+            });
+        }
+        return entry.instantiating;
+    }
     /**
      * Register a callback for a service bind event for a named service.
      * If the once argument is true then the callback is only invoked at most
      * once, the first time a service is registered under the specified name;
      * otherwise the callback is called each time a service is bound under the
      * specified name (which under normal usage will be only once anyway).
+     * For a service collection, the callback is called with each service
+     * contributed to the collection.
+     * Returns a handle whose dispose() method unregisters the callback.
      */
     onServiceBind( name, callback, once = true ) {
         if( typeof name !== 'string' ) {
@@ -113,99 +1026,552 @@ class App extends EventEmitter {
         if( typeof callback !== 'function' ) {
             throw new TypeError('Service callback must be a function');
         }
+        // Record the dependency if made by a service factory.
+        if( this._requester !== undefined ) {
+            this._addEdge( this._requester, name, 'forward');
+        }
         // Check whether the requested name is already bound to the backbone,
-        // and is so then invoke the callback with the service.
-        let service = this.services[name];
-        if( service !== undefined ) {
-            callback( service );
+        // and is so then invoke the callback with the service. For a service
+        // collection, the callback is invoked with each contributed service.
+        let collection = this._findCollection( name );
+        let service = this._peek( name );
+        let bound = collection ? collection.map( c => c.service ) : service !== undefined ? [ service ] : [];
+        if( bound.length > 0 ) {
             // If this is a once-off callback then we're all done here, return.
             if( once ) {
-                return;
+                callback( bound[0] );
+                return { dispose: () => {} };
             }
+            bound.forEach( service => callback( service ) );
         }
         // Create a handler function for the event.
         const app = this;
         const handler = event => {
             if( event.name === name ) {
-                callback( event.service );
                 if( once ) {
                     app.removeListener('service-bind', handler );
                 }
+                callback( event.service );
             }
         };
         // Register the event handler.
         this.on('service-bind', handler );
+        return {
+            dispose: () => this.removeListener('service-bind', handler )
+        };
+    }
+    /**
+     * Register a callback for a service unbind event for a named service.
+     * The callback is called with the unbound service each time a service
+     * is unbound from, or replaced under, the specified name; or only the
+     * first time if the once argument is true.
+     * Returns a handle whose dispose() method unregisters the callback.
+     */
+    onServiceUnbind( name, callback, once = false ) {
+        if( typeof name !== 'string' ) {
+            throw new TypeError('Service name must be a string');
+        }
+        if( typeof callback !== 'function' ) {
+            throw new TypeError('Service callback must be a function');
+        }
+        const app = this;
+        const handler = event => {
+            if( event.name === name ) {
+                if( once ) {
+                    app.removeListener('service-unbind', handler );
+                }
+                callback( event.service );
+            }
+        };
+        this.on('service-unbind', handler );
+        return {
+            dispose: () => this.removeListener('service-unbind', handler )
+        };
+    }
+    /**
+     * Wait for a service to be bound to the backbone.
+     * @param name      The service name.
+     * @param options   Options:
+     *                  - timeout: (Optional) the time, in ms, to wait for the
+     *                    service.
+     *                  - signal: (Optional) an abort signal, e.g. from an
+     *                    AbortController; the wait is cancelled when the
+     *                    signal is aborted.
+     * @return A promise resolving to the service, or rejecting on timeout or
+     * when aborted. Lazy services are instantiated.
+     */
+    waitFor( name, options = {} ) {
+        if( typeof name !== 'string' ) {
+            return Promise.reject( new TypeError('Service name must be a string') );
+        }
+        if( this._isPendingLazy( name ) ) {
+            return waitUntil( ( done, fail ) => {
+                this.get( name ).then( done, fail );
+                return { dispose: () => {} };
+            }, options, `service '${name}'`);
+        }
+        return waitUntil( done => {
+            return this.onServiceBind( name, service => {
+                // Resolve a collection to the list of contributed services.
+                done( this._findCollection( name ) ? this.services[name] : service );
+            });
+        }, options, `service '${name}'`);
+    }
+    /**
+     * Wait for services conforming to an interface to be bound to the backbone.
+     * @param ifdef     An interface definition.
+     * @param options   Options:
+     *                  - count: The number of conforming services to wait
+     *                    for; defaults to 1.
+     *                  - timeout: (Optional) the time, in ms, to wait for the
+     *                    services.
+     *                  - signal: (Optional) an abort signal; the wait is
+     *                    cancelled when the signal is aborted.
+     * @return A promise resolving to a list of the first 'count' conforming
+     * services, in the order they were bound; or rejecting on timeout or
+     * when aborted.
+     */
+    waitForConforming( ifdef, options = {} ) {
+        const { count = 1 } = options;
+        if( typeof count !== 'number' || count < 1 ) {
+            return Promise.reject( new TypeError('Service count must be a positive number') );
+        }
+        const found = [];
+        return waitUntil( done => {
+            return this.onConformingServiceBind( ifdef, service => {
+                if( found.length < count ) {
+                    found.push( service );
+                    if( found.length == count ) {
+                        done( found );
+                    }
+                }
+            });
+        }, options, `${count} conforming service(s)`);
+    }
+    /**
+     * Stop the backbone.
+     * Services are stopped one layer at a time, starting with the highest
+     * layer and working down to the lowest, so that each service is stopped
+     * before any service it depends on. Services within the same layer are
+     * stopped in parallel. Services bound at runtime using bind() (i.e. not
+     * in any layer) are stopped in parallel before the highest layer.
+     * A service is stopped by calling its stop() method, or its dispose()
+     * method if it has no stop() method; services with neither method are
+     * simply unbound. The stop methods of IPC servers and clients
+     * close the server socket and disconnect the client respectively.
+     * The backbone emits a 'stopping' event before any service is stopped,
+     * a 'service-stop' event after each service is stopped, and a 'stopped'
+     * event once all services have been stopped.
+     * If any service fails to stop, or fails to stop within the timeout, then
+     * the remaining services are still stopped, and the promise returned by
+     * this method is rejected once all layers have been processed.
+     * @param timeout   The time, in ms, to wait for each service to stop.
+     * @return A promise resolving once all services have stopped.
+     */
+    stop( timeout = StopTimeout ) {
+        if( !this._stopping ) {
+            this._stopping = this._stop( timeout );
+        }
+        return this._stopping;
+    }
+    async _stop( timeout ) {
+        this.removeSignalHandlers();
+        this.emit('stopping');
+        const errors = [];
+        // Stop child scopes first, as their services may depend on this backbone.
+        const scopes = Array.from( this._scopes ).map( scope => {
+            return scope.stop( timeout ).catch( e => errors.push( e ) );
+        });
+        await Promise.all( scopes );
+        // Stop and unbind a list of services in parallel.
+        const stopServices = names => Promise.all( names.map( async name => {
+            // Note that lazy services which haven't been instantiated
+            // aren't stopped.
+            let service = this._peek( name );
+            delete this._lazy[name];
+            try {
+                await stopService( name, service, timeout );
+            }
+            catch( e ) {
+                errors.push( e );
+            }
+            // Unbind the service.
+            delete this.services[name];
+            delete this._bindOrder[name];
+            delete this._definitions[name];
+            this.emit('service-stop', { name, service });
+        }));
+        // Services bound at runtime may depend on any layer, so are stopped first.
+        const layered = new Set( this._layers.reduce( ( all, names ) => all.concat( names ), [] ) );
+        const unlayered = Object.keys( this.services )
+            .filter( name => !layered.has( name ) && !this._collections[name] );
+        if( unlayered.length > 0 ) {
+            this.logger.info('Stopping services bound at runtime...');
+            await stopServices( unlayered );
+        }
+        // Iterate over the layers, from top to bottom.
+        for( let layerIdx = this._layers.length - 1; layerIdx >= 0; layerIdx-- ) {
+            this.logger.info(`Stopping layer ${layerIdx}...`, { layer: layerIdx });
+            await stopServices( this._layers[layerIdx] );
+        }
+        this._layers = [];
+        this._edges = [];
+        Object.keys( this._collections ).forEach( collection => {
+            delete this.services[collection];
+        });
+        this._collections = {};
+        Array.from( this._routes.keys() ).forEach( name => this._unroute( name ) );
+        // Detach from the parent backbone.
+        if( this.parent ) {
+            this.parent.removeListener('service-bind', this._parentBindHandler );
+            this.parent.removeListener('service-unbind', this._parentUnbindHandler );
+            this.parent._scopes.delete( this );
+        }
+        this.emit('stopped');
+        if( errors.length > 0 ) {
+            let err = new Error(`Failed to stop ${errors.length} service(s)`);
+            err.errors = errors;
+            err.cause = errors[0];
+            throw err;
+        }
+    }
+    /**
+     * Stop the backbone when the process receives a termination signal.
+     * The process exits once the backbone has stopped, with an exit code of
+     * 0 if all services stopped cleanly, or 1 otherwise.
+     * @param signals   A list of signal names.
+     */
+    stopOnSignals( signals = StopSignals ) {
+        signals.forEach( signal => {
+            if( this._signalHandlers[signal] ) {
+                return;
+            }
+            const handler = () => {
+                this.logger.info(`Received ${signal}, stopping...`, { signal });
+                this.stop().then(
+                    () => process.exit( 0 ),
+                    err => {
+                        this.logger.error( err.message );
+                        process.exit( 1 );
+                    });
+            };
+            this._signalHandlers[signal] = handler;
+            process.once( signal, handler );
+        });
+    }
+    /**
+     * Remove any signal handlers registered by stopOnSignals().
+     */
+    removeSignalHandlers() {
+        const handlers = this._signalHandlers;
+        for( let signal in handlers ) {
+            process.removeListener( signal, handlers[signal] );
+        }
+        this._signalHandlers = {};
+    }
+    /**
+     * Check the health of the backbone's services.
+     * Calls the (possibly asynchronous) health() method of each bound service
+     * which has one; services without a health() method aren't checked. IPC
+     * service clients forward the check to their server. A health() method
+     * can return (or resolve to):
+     * - true or undefined, for a healthy service;
+     * - false, for a failed service;
+     * - a status string, one of 'ok', 'degraded' or 'failed';
+     * - an object with a 'status' property and an optional 'message'.
+     * A health() method which throws an error, or which doesn't complete
+     * within the timeout, indicates a failed service.
+     * @param timeout   The time, in ms, to wait for each service's health check.
+     * @return A promise resolving to a health report, with an overall 'status'
+     * (the most severe status of any service) and a 'services' map of each
+     * checked service's 'status', 'latency' (in ms) and optional 'message'.
+     */
+    async health( timeout = HealthTimeout ) {
+        const { services } = this;
+        const names = Object.keys( services ).filter( name => {
+            let service = this._peek( name );
+            return service && typeof service.health === 'function';
+        });
+        const results = await Promise.all( names.map( async name => {
+            const start = Date.now();
+            let result;
+            try {
+                let check = services[name].health( timeout );
+                result = await withTimeout( check, timeout, `Timeout checking health of service "${name}"`);
+                result = normalizeHealth( result );
+            }
+            catch( e ) {
+                result = { status: 'failed', message: e.message || String( e ) };
+            }
+            result.latency = Date.now() - start;
+            return result;
+        }));
+        const report = { status: 'ok', services: {} };
+        results.forEach( ( result, idx ) => {
+            report.services[names[idx]] = result;
+            if( HealthStatuses.indexOf( result.status ) > HealthStatuses.indexOf( report.status ) ) {
+                report.status = result.status;
+            }
+        });
+        return report;
+    }
+    /**
+     * Get a profile of the backbone's startup.
+     * @return A profiling report; see Profiler.report() in profile.js.
+     */
+    profile() {
+        return this._profiler.report();
+    }
+    /**
+     * Get a profile of the backbone's startup in Chrome trace event format.
+     * @return An object with a 'traceEvents' list.
+     */
+    trace() {
+        return toTraceEvents( this.profile() );
+    }
+    /**
+     * Describe the backbone's service graph.
+     * Returns an object with the following properties:
+     * - services: A list of bound services, in layer order. Each item has the
+     *   service's name, layer index, kind ('factory', 'class' or 'object'), the IPC
+     *   mode ('client', 'server' or 'service') of IPC services, and a list
+     *   of the names of the services it depends on. Services contributing to
+     *   a collection also have the collection name ('contributes') and their
+     *   priority; collections themselves aren't listed, and dependencies on
+     *   a collection are recorded as edges to each contributing service.
+     * - edges: A list of dependency edges between services. Each edge has
+     *   'from' and 'to' service names and a type - 'backward' for a factory
+     *   argument dependency, 'forward' for a dependency registered using
+     *   onServiceBind, and 'conforming' for a service passed to an
+     *   onConformingServiceBind callback.
+     * Note that forward and conforming dependencies are only attributed to a
+     * service when registered synchronously by its factory function, i.e.
+     * before any 'await' in an async factory.
+     * See graph.js for functions to serialize the result.
+     */
+    describe() {
+        const definitions = this._definitions;
+        const services = Object.keys( this.services )
+            .filter( name => !this._collections[name] )
+            .map( name => {
+                let definition = definitions[name] || {
+                    kind: 'object',
+                    dependencies: []
+                };
+                let { layer, kind, ipc, dependencies } = definition;
+                let result = { name, layer, kind, dependencies: dependencies.slice() };
+                if( ipc ) {
+                    result.ipc = ipc;
+                }
+                if( this._lazy[name] ) {
+                    result.lazy = true;
+                }
+                this._listContributions( name ).forEach( ({ collection, contribution }) => {
+                    result.contributes = collection;
+                    result.priority = contribution.priority;
+                });
+                let provides = Provided.get( this._peek( name ) );
+                if( provides ) {
+                    result.provides = provides.slice();
+                }
+                return result;
+            })
+            .sort( ( a, b ) => {
+                // Order by layer, with services not bound by a layer last.
+                let la = a.layer === undefined ? Infinity : a.layer;
+                let lb = b.layer === undefined ? Infinity : b.layer;
+                return la - lb;
+            });
+        const edges = this._edges.map( edge => Object.assign( {}, edge ) );
+        return { services, edges };
     }
     /**
      * Return a list of services conforming to a specified interface.
+     * @param ifdef An interface definition, or the name of an interface; a
+     *              named interface lists the services which provide it.
      */
     listConformingServices( ifdef ) {
-        const iftest = InterfaceDef.compile( ifdef );
-        const { services } = this;
-        return Object.keys( services )
+        const iftest = this._compileInterface( ifdef );
+        // Note that lazy services which haven't been instantiated aren't
+        // listed; nor are service collections (although services contributed
+        // to a collection under their own name are).
+        return this._listServiceNames()
             .filter( name => {
-                let service = services[name];
+                if( this._findCollection( name ) ) {
+                    return false;
+                }
+                let service = this._peek( name );
                 return iftest( service );
             });
     }
+    /**
+     * Return the names of all services visible through this backbone,
+     * including services bound to any parent backbone.
+     * Services are listed in the order they were bound, so that conforming
+     * dependencies and callbacks see a deterministic order; services bound
+     * to this backbone are listed before those bound to a parent.
+     */
+    _listServiceNames() {
+        const order = this._bindOrder;
+        const names = Object.keys( this.services )
+            .sort( ( a, b ) => {
+                // Names without a recorded order (i.e. collections) go last.
+                let oa = order[a] === undefined ? Infinity : order[a];
+                let ob = order[b] === undefined ? Infinity : order[b];
+                return oa === ob ? 0 : oa - ob;
+            });
+        if( this.parent ) {
+            this.parent._listServiceNames()
+                .filter( name => !this.services.hasOwnProperty( name ) )
+                .forEach( name => names.push( name ) );
+        }
+        return names;
+    }
     /**
      * Register a callback for a service bind event for services conforming
      * to a specified interface definition.
+     * The callback is called with the service and its name. An optional
+     * unbind callback is called, with the service and its name, when a
+     * service previously passed to the bind callback is unbound or replaced.
+     * Returns a handle whose dispose() method unregisters both callbacks.
+     * In debug mode, if no services conforming to the interface have been
+     * bound once the backbone has started, then any services which nearly
+     * conform (i.e. with exactly one mismatching property) are logged.
      */
-    onConformingServiceBind( ifdef, callback ) {
+    onConformingServiceBind( ifdef, callback, unbindCallback ) {
         if( typeof callback !== 'function' ) {
             throw new TypeError('Callback must be a function');
         }
+        if( unbindCallback !== undefined && typeof unbindCallback !== 'function' ) {
+            throw new TypeError('Unbind callback must be a function');
+        }
+        // The names of the services passed to the callback.
+        const bound = new Set();
         // Compile the interface defintion.
-        const iftest = InterfaceDef.compile( ifdef );
+        const iftest = this._compileInterface( ifdef );
+        // Note the service making the request, if any.
+        const requester = this._requester;
         // Check for previously registered services which conform to the
         // required interface.
         let conforming = this.listConformingServices( iftest );
         const { services } = this;
         conforming.forEach( name => {
             let service = services[name];
-            callback( service );
+            if( requester !== undefined ) {
+                this._addEdge( requester, name, 'conforming');
+            }
+            bound.add( name );
+            callback( service, name );
         });
         // Register an event handler for service bind events.
-        this.on('service-bind', event => {
+        const bindHandler = event => {
             // Test whether the new service conforms to the specified interface,
             // pass to the callback function if it does.
-            let { service } = event;
-            if( iftest( service ) ) {
-                callback( service );
+            let { name, service, contribution } = event;
+            // Contributions to collections are ignored; contributed services
+            // are notified under their own name.
+            if( !contribution && iftest( service ) ) {
+                if( requester !== undefined ) {
+                    this._addEdge( requester, name, 'conforming');
+                }
+                bound.add( name );
+                callback( service, name );
+            }
+        };
+        this.on('service-bind', bindHandler );
+        // Register an event handler for service unbind events.
+        const unbindHandler = event => {
+            let { name, service, contribution } = event;
+            if( !contribution && bound.delete( name ) && unbindCallback ) {
+                unbindCallback( service, name );
+            }
+        };
+        this.on('service-unbind', unbindHandler );
+        // In debug mode, record the listener so that it can be diagnosed if
+        // it doesn't receive any services.
+        const listener = { iftest, requester, bound };
+        if( this.debug ) {
+            this._conformingListeners.push( listener );
+            if( this._started && bound.size == 0 ) {
+                this._logNearMisses( listener );
             }
+        }
+        return {
+            dispose: () => {
+                this.removeListener('service-bind', bindHandler );
+                this.removeListener('service-unbind', unbindHandler );
+                this._conformingListeners = this._conformingListeners.filter( l => l !== listener );
+            }
+        };
+    }
+    /**
+     * Log the services which nearly conform to the interface required by a
+     * conforming-interface listener which hasn't received any services.
+     * A service nearly conforms if exactly one of its properties doesn't
+     * match the interface - and, for single property interfaces, if that
+     * property is defined.
+     * @param listener  A conforming-interface listener record.
+     */
+    _logNearMisses( listener ) {
+        const { iftest, requester } = listener;
+        const required = requester !== undefined ? ` required by '${requester}'` : '';
+        const propertyCount = iftest.__properties.length;
+        const nearMisses = this._listServiceNames()
+            .filter( name => !this._findCollection( name ) )
+            .map( name => ({ name, mismatches: InterfaceDef.explain( iftest, this._peek( name ) ) }) )
+            .filter( ({ mismatches }) => {
+                return mismatches.length == 1
+                    && (propertyCount > 1 || mismatches[0].actual !== 'undefined');
+            });
+        if( nearMisses.length == 0 ) {
+            this.logger.info(`No services conform to interface${required}`, { requester });
+            return;
+        }
+        nearMisses.forEach( ({ name, mismatches }) => {
+            let { path, expected, actual } = mismatches[0];
+            this.logger.info(`Service '${name}' nearly conforms to interface${required}: `
+                +`property '${path}' expected ${expected}, got ${actual}`, { service: name, requester });
         });
     }
 }
 
 /**
- * Return the list of argument names for a service factory function.
- * @param name  A service name.
- * @param fn    A service factory function.
- * @return A list of argument names.
+ * Resolve a factory function dependency.
+ * @param name      The name of the service being loaded.
+ * @param dep       A dependency descriptor; see readParams().
+ * @param app       The app backbone.
+ * @return The service (or for list dependencies, the list of services)
+ * satisfying the dependency.
  */
-function readArgNames( name, fn ) {
-    // Check for a pre-identified list of arguments on the function.
-    // (This can be useful when the actual function is nested within another
-    // function call; see IPCServer code for a sample of its use).
-    let args = fn[ArgListToken];
-    if( args ) {
-        return args;
-    }
-    let src = fn.toString();
-    // Test for function or lambda with list of args within parenthesis.
-    // e.g. function( a, b ) { ... } or ( a, b ) => ...
-    let r = /^(?:(?:\s*async\s+)?function(?:\s+\w+)?)?\s*\(([^)]*)/.exec( src );
-    if( r ) {
-        return r[1].split(',').map( a => a.trim() ).filter( a => a.length );
-    }
-    // Test for lamdba with single argument in no parenthesis e.g. a => ...
-    r = /^(\w+)\s*=>/.exec( src );
-    if( r ) {
-        return r[1].trim();
-    }
-    // Can't extract function arguments for some reason.
-    throw new Error(`Can't read argument names of factory function for service '${name}'`);
+function resolveDependency( name, dep, app ) {
+    // Resolve a conforming-interface dependency.
+    if( dep.conforming !== undefined ) {
+        const conforming = app.listConformingServices( dep.conforming );
+        conforming.forEach( service => app._addEdge( name, service, 'conforming') );
+        const services = conforming.map( service => app.services[service] );
+        if( dep.list ) {
+            return services;
+        }
+        if( services.length > 1 ) {
+            throw new Error(`Ambiguous conforming dependency: '${dep.name}' for '${name}' matches services: ${conforming.join(', ')}`);
+        }
+        if( services.length > 0 ) {
+            return services[0];
+        }
+        if( dep.optional ) {
+            return dep.default;
+        }
+        throw new Error(`Unresolved conforming dependency: '${dep.name}' for '${name}'`);
+    }
+    // Resolve a named dependency.
+    let service = app.services[dep.service];
+    if( service === undefined ) {
+        if( dep.optional ) {
+            return dep.default;
+        }
+        throw new Error(`Unresolved dependency: '${dep.service}' for '${name}'`);
+    }
+    return service;
 }
 
 /**
@@ -214,7 +1580,10 @@ function readArgNames( name, fn ) {
  * @param def       Either the service instance (in which case the service
  *                  is already loaded and nothing more needs to be done); or
  *                  a factory function for instantiating the service. The
- *                  function may be synchronous or asynchronous.
+ *                  function may be synchronous or asynchronous. Or a class,
+ *                  in which case the service is instantiated by calling the
+ *                  class constructor, followed by the optional (possibly
+ *                  asynchronous) init() method of the new instance.
  * @param app       The app backbone, populated with service instances
  *                  instantiated in previous, lower layers.
  * @return A promise resolving to the service instance.
@@ -222,23 +1591,58 @@ function readArgNames( name, fn ) {
 async function load( name, def, app ) {
     // Check if service is presented as a factory function.
     if( typeof def === 'function' ) {
-        // Resolve the factory function's argument names, and convert to
+        // Instantiate any lazy services the factory depends on.
+        let lazy = readDependencies( name, def )
+            .filter( dep => app._isPendingLazy( dep.service ) )
+            .map( dep => app.get( dep.service ) );
+        if( lazy.length > 0 ) {
+            try {
+                await Promise.all( lazy );
+            }
+            catch( e ) {
+                let err = new Error(`Instantiating module "${name}"`);
+                err.cause = e;
+                throw err;
+            }
+        }
+        // Resolve the factory function's parameters, and convert to
         // instances of services which have been instantiated in lower
         // service layers.
-        let args = readArgNames( name, def )
-            .map( argName => {
-                let arg = app.services[argName];
-                if( arg === undefined ) {
-                    throw new Error(`Unresolved dependency: '${argName}' for '${name}'`);
+        let args = readParams( name, def )
+            .map( param => {
+                if( param.keys ) {
+                    // Destructured argument; pass an object containing each
+                    // of the named services.
+                    return param.keys.reduce( ( arg, key ) => {
+                        arg[key.name] = resolveDependency( name, key, app );
+                        return arg;
+                    }, {});
                 }
-                return arg;
+                return resolveDependency( name, param, app );
             });
         // Call the factory function with its required services as its arguments.
         // Note that the app backbone is the 'this' argument.
         try {
-            return await def.apply( app, args );
+            // Note the name of the service being instantiated whilst the
+            // factory function executes, so that any dependencies it
+            // registers on the backbone can be attributed to it.
+            app._requester = name;
+            if( !isClass( def ) ) {
+                let service = def.apply( app, args );
+                app._requester = undefined;
+                return await service;
+            }
+            // Service is presented as a class; pass the required services
+            // as constructor arguments, and then call the service's init
+            // method, if it has one, passing the backbone as its argument.
+            let service = new def( ...args );
+            let ready = typeof service.init === 'function' ? service.init( app ) : undefined;
+            app._requester = undefined;
+            await ready;
+            return service;
         }
         catch( e ) {
+            app._requester = undefined;
             let err = new Error(`Instantiating module "${name}"`);
             err.cause = e;
             throw err;
@@ -248,16 +1652,218 @@ async function load( name, def, app ) {
     return def;
 }
 
+/**
+ * Stop a service instance.
+ * @param name      The name the service is bound to.
+ * @param service   The service instance.
+ * @param timeout   The time, in ms, to wait for the service to stop.
+ * @return A promise resolving once the service has stopped.
+ */
+async function stopService( name, service, timeout ) {
+    // Find the service's stop method, if any.
+    let method = ['stop','dispose'].find( method => {
+        return service && typeof service[method] === 'function';
+    });
+    if( !method ) {
+        return;
+    }
+    try {
+        await withTimeout( service[method](), timeout, `Timeout stopping service "${name}"`);
+    }
+    catch( e ) {
+        let err = new Error(`Stopping service "${name}"`);
+        err.cause = e;
+        throw err;
+    }
+}
+
+/**
+ * Roll back a failed startup, by stopping the services instantiated in the
+ * failed layer followed by all previously started layers (in reverse order).
+ * Errors when stopping services are logged but otherwise ignored, so that
+ * the original startup error is reported.
+ * @param app       The app backbone.
+ * @param instances A map of the services instantiated in the failed layer.
+ */
+async function rollback( app, instances ) {
+    const { logger } = app;
+    logger.warn('Startup failed, stopping started services...');
+    let errors = await Promise.all( Array.from( instances ).map( ([ name, service ]) => {
+        return stopService( name, service, StopTimeout ).then( () => undefined, e => e );
+    }));
+    try {
+        await app.stop();
+    }
+    catch( e ) {
+        errors = errors.concat( e.errors || [ e ] );
+    }
+    errors.filter( e => e !== undefined ).forEach( e => {
+        logger.error(`${e.message}${e.cause ? ': ' + e.cause.message : ''}`);
+    });
+}
+
+/**
+ * Wait for a value which may be a promise, with a timeout.
+ * @param value     A value or promise.
+ * @param timeout   The time, in ms, to wait for the promise to resolve.
+ * @param message   The message of the error thrown on timeout; or a function
+ *                  returning the error to throw.
+ * @return A promise resolving to the value, or rejecting on timeout.
+ */
+async function withTimeout( value, timeout, message ) {
+    let timerID;
+    const timeoutPromise = new Promise( ( resolve, reject ) => {
+        timerID = setTimeout( () => {
+            reject( typeof message === 'function' ? message() : new Error( message ) );
+        }, timeout );
+    });
+    try {
+        return await Promise.race([ value, timeoutPromise ]);
+    }
+    finally {
+        clearTimeout( timerID );
+    }
+}
+
+/**
+ * Wait for a subscription to deliver a value, with an optional timeout and
+ * abort signal.
+ * @param subscribe     A function which is passed completion and failure
+ *                      callbacks, and returns a handle with a dispose()
+ *                      method; the subscription is disposed once the wait
+ *                      completes.
+ * @param options       Options with an optional timeout (in ms) and signal.
+ * @param description   A description of what is being waited for, used in
+ *                      error messages.
+ * @return A promise resolving to the value passed to the completion callback.
+ */
+function waitUntil( subscribe, options, description ) {
+    const { timeout, signal } = options;
+    return new Promise( ( resolve, reject ) => {
+        if( signal && signal.aborted ) {
+            reject( new Error(`Aborted waiting for ${description}`) );
+            return;
+        }
+        let settled = false, handle, timerID;
+        const onAbort = () => settle( reject, new Error(`Aborted waiting for ${description}`) );
+        const settle = ( fn, result ) => {
+            if( settled ) {
+                return;
+            }
+            settled = true;
+            clearTimeout( timerID );
+            if( handle ) {
+                handle.dispose();
+            }
+            if( signal ) {
+                signal.removeEventListener('abort', onAbort );
+            }
+            fn( result );
+        };
+        if( timeout !== undefined ) {
+            timerID = setTimeout( () => {
+                settle( reject, new Error(`Timeout waiting for ${description}`) );
+            }, timeout );
+        }
+        if( signal ) {
+            signal.addEventListener('abort', onAbort );
+        }
+        // Note that the subscription may complete synchronously.
+        const subscription = subscribe(
+            result => settle( resolve, result ),
+            err    => settle( reject, err ) );
+        if( settled ) {
+            subscription.dispose();
+        }
+        else {
+            handle = subscription;
+        }
+    });
+}
+
+/**
+ * Normalize the result of a service health check.
+ * @param result    The value returned by a service's health() method.
+ * @return An object with a 'status' and optional 'message'.
+ */
+function normalizeHealth( result ) {
+    if( result === undefined || result === true ) {
+        return { status: 'ok' };
+    }
+    if( result === false ) {
+        return { status: 'failed' };
+    }
+    if( typeof result === 'string' ) {
+        result = { status: result };
+    }
+    if( result === null || typeof result !== 'object' ) {
+        return { status: 'failed', message: `Invalid health check result: ${result}` };
+    }
+    let { status = 'ok', message } = result;
+    if( !HealthStatuses.includes( status ) ) {
+        return { status: 'failed', message: `Invalid health status: ${status}` };
+    }
+    return message === undefined ? { status } : { status, message: String( message ) };
+}
+
 /**
  * Start an app backbone by instantiating a series of service layers.
  * The app backbone is defined as a list of service layers, where a service
  * in a layer can be dependent on any service defined in a lower (ealier)
  * layer.
  * @param layers    A list of service layer definitions.
- * @param log       A logging object.
+ * @param options   Startup options:
+ *                  - log: A logging function, or a logger object with
+ *                    debug, info, warn and error methods; see makeLogger()
+ *                    in logger.js.
+ *                  - logLevel: The minimum level of messages passed to a
+ *                    logging function; defaults to 'info'.
+ *                  - trace: The path of a file to write a profile of the
+ *                    startup to, in Chrome trace event format; see profile().
+ *                  - interfaces: A map of interface definitions, keyed by
+ *                    interface name; defined before startup begins. See
+ *                    App.defineInterface().
+ *                  - debug: If true then once startup completes, services
+ *                    which nearly conform to the interface required by a
+ *                    conforming-interface listener which hasn't received
+ *                    any services are logged; see onConformingServiceBind().
+ *                  - interceptors: A list of interceptors, registered before
+ *                    startup begins; each is an interceptor object (see
+ *                    App.intercept()) with an additional 'target' property
+ *                    giving the service name or interface definition.
+ *                  - listeners: A map of backbone event listeners, keyed by
+ *                    event name; registered before startup begins, so that
+ *                    startup events can be observed.
+ *                  - signals: If true then the backbone is stopped when the
+ *                    process receives a SIGINT or SIGTERM signal; or a list
+ *                    of the signal names to stop on.
+ *                  - serviceTimeout: The time, in ms, allowed for each
+ *                    service to be instantiated.
+ *                  - timeouts: A map of service instantiation times, in ms,
+ *                    keyed by service name; overrides serviceTimeout for the
+ *                    named services.
+ *                  - layerTimeout: The time, in ms, allowed for all the
+ *                    services in a layer to be instantiated.
+ *                  Startup fails if any timeout expires, with an error whose
+ *                  'pending' property lists the name and elapsed time (in ms)
+ *                  of each service in the layer which is still pending.
+ *                  For backwards compatibility, a logging function can be
+ *                  passed in place of the options.
+ * If any service in a layer fails to start then all services already
+ * started are stopped, in reverse order, before startup fails. A single
+ * failure is reported as-is; multiple failures in the same layer are
+ * reported with an error whose 'errors' property lists every failure.
+ * The backbone emits the following events during startup:
+ * - 'layer-start': Before a layer is started, with the layer index and
+ *   the names of its services.
+ * - 'service-instantiated': After each service is instantiated, with the
+ *   service name, layer index and instantiation duration in ms.
+ * - 'layer-complete': After the layer's services are bound, with the layer
+ *   index, service names and the layer's duration in ms.
+ * - 'started': After all layers are started.
  * @return An app backbone; an object with instances of named services bound to it.
  */
-async function start( layers, log = DefaultLogger ) {
+async function start( layers, options = {} ) {
 
     // Check that the layers arg is an array.
     if( !Array.isArray( layers ) ) {
@@ -267,45 +1873,293 @@ async function start( layers, log = DefaultLogger ) {
     // Create the app backbone.
     const app = new App();
 
+    await startLayers( app, layers, normalizeOptions( options ) );
+
+    // Return the backbone.
+    return app;
+}
+
+/**
+ * Normalize startup options.
+ * For backwards compatibility, a logging function can be passed in place
+ * of the options.
+ */
+function normalizeOptions( options ) {
+    if( typeof options === 'function' ) {
+        return { log: options };
+    }
+    return options;
+}
+
+/**
+ * Start a series of service layers on a backbone.
+ * @param app       An app backbone.
+ * @param layers    A list of service layer definitions.
+ * @param options   Startup options; see start().
+ */
+async function startLayers( app, layers, options ) {
+
+    const {
+        log,
+        logLevel,
+        signals = false,
+        serviceTimeout,
+        timeouts = {},
+        layerTimeout,
+        listeners = {},
+        interceptors = [],
+        trace,
+        debug = false,
+        interfaces = {}
+    } = options;
+
+    const logger = app.logger = makeLogger( log, logLevel );
+    app.debug = debug;
+    const profiler = app._profiler;
+
+    for( let eventName in listeners ) {
+        app.on( eventName, listeners[eventName] );
+    }
+
+    interceptors.forEach( interceptor => app.intercept( interceptor.target, interceptor ) );
+
+    Object.keys( interfaces ).forEach( name => app.defineInterface( name, interfaces[name] ) );
+
     // Iterate over the layer definitions.
     for( let layerIdx = 0; layerIdx < layers.length; layerIdx++ ) {
 
-        log(`Initializing layer ${layerIdx}...`);
+        logger.info(`Initializing layer ${layerIdx}...`, { layer: layerIdx });
 
         let layer = layers[layerIdx];
 
         // List the service names in the current layer.
         let names = Object.keys( layer );
 
-        // Build a list of promises resolving to service instances from
-        // the service definitions in the layer.
-        let pending = names.map( name => {
+        // Check that the layer's services can be bound before instantiating
+        // them; if not, then stop all previously started layers.
+        const bound = names.find( name => app.services.hasOwnProperty( name ) );
+        if( bound !== undefined ) {
+            await rollback( app, new Map() );
+            throw new Error(`Service already bound: '${bound}'`);
+        }
+        // Check that contributions are made to collections, and not to
+        // services bound under the collection name.
+        const clash = names
+            .map( name => layer[name] )
+            .filter( def => def instanceof Contribution )
+            .map( def => def.collection )
+            .find( collection => {
+                return layer.hasOwnProperty( collection )
+                    || (app.services.hasOwnProperty( collection ) && !app._collections[collection]);
+            });
+        if( clash !== undefined ) {
+            await rollback( app, new Map() );
+            throw new Error(`Service isn't a collection: '${clash}'`);
+        }
+
+        profiler.startLayer( layerIdx, names );
+        app.emit('layer-start', { layer: layerIdx, services: names });
+
+        // The start time of each service still being instantiated, keyed
+        // by service name.
+        const starting = new Map();
+        // Create a timeout error listing the services still pending.
+        const stalled = description => () => {
+            const now = Date.now();
+            const pending = Array.from( starting ).map( ([ name, start ]) => {
+                return { name, elapsed: now - start };
+            });
+            const list = pending.map( p => `'${p.name}' (${p.elapsed}ms)` ).join(', ');
+            let err = new Error(`Timeout starting ${description}; pending services: ${list}`);
+            err.pending = pending;
+            return err;
+        };
+
+        // Set once the layer has failed to start; services instantiated after
+        // this point are stopped as soon as they become available.
+        let abandoned = false;
+        // Successfully instantiated services and startup failures, keyed by
+        // service name.
+        const instances = new Map();
+        const failures = new Map();
+
+        // Instantiate a service in the layer. Note that any error - including
+        // one thrown while reading the service's dependencies - results in a
+        // rejected promise.
+        const instantiate = async ( name ) => {
             // Read the service definition.
-            let def = layer[name];
+            let def = unwrapDefinition( layer[name] );
+            let isLazy = layer[name] instanceof LazyDefinition;
+            // Record the service definition details.
+            let isFactory = typeof def === 'function';
+            // Note that optional dependencies on unbound services are ignored.
+            let dependencies = (isFactory ? readDependencies( name, def ) : [])
+                .filter( dep => !dep.optional || app._owner( dep.service ) !== undefined )
+                .map( dep => dep.service );
+            app._definitions[name] = {
+                layer:          layerIdx,
+                kind:           isFactory ? (isClass( def ) ? 'class' : 'factory') : 'object',
+                ipc:            isFactory ? def[IPCModeToken] : undefined,
+                dependencies
+            };
+            app._definitions[name].dependencies.forEach( dep => {
+                // A dependency on a collection depends on each of its contributors.
+                let collection = app._findCollection( dep );
+                let contributors = collection && collection.every( c => c.contributor !== undefined )
+                    ? collection.map( c => c.contributor )
+                    : [ dep ];
+                contributors.forEach( to => app._addEdge( name, to, 'backward') );
+            });
+            // Lazy services are bound once the layer has started, but are
+            // only instantiated when first used.
+            if( isLazy ) {
+                return def;
+            }
             // Load the service instance from the definition.
-            return load( name, def, app );
+            starting.set( name, Date.now() );
+            profiler.startService( name, layerIdx );
+            logger.debug(`Instantiating ${name}...`, { service: name, layer: layerIdx });
+            // Set if the service exceeds its timeout; the service is then
+            // stopped as soon as it becomes available.
+            let timedOut = false;
+            let loading = load( name, def, app ).then( service => {
+                starting.delete( name );
+                if( abandoned || timedOut ) {
+                    stopService( name, service, StopTimeout ).catch( e => {
+                        logger.warn(`Failed to stop abandoned service "${name}": ${e.message}`, { service: name });
+                    });
+                    return service;
+                }
+                // Check that the service provides the interfaces it declares
+                // before it is bound, so that startup fails cleanly.
+                try {
+                    app._checkProvides( name, service, readProvides( def ) );
+                }
+                catch( e ) {
+                    stopService( name, service, StopTimeout ).catch( e => {
+                        logger.warn(`Failed to stop service "${name}": ${e.message}`, { service: name });
+                    });
+                    throw e;
+                }
+                const duration = profiler.endService( name );
+                logger.debug(`Instantiated ${name} in ${duration}ms`, { service: name, layer: layerIdx, duration });
+                app.emit('service-instantiated', { name, layer: layerIdx, duration });
+                return service;
+            },
+            err => {
+                starting.delete( name );
+                throw err;
+            });
+            let timeout = timeouts[name] !== undefined ? timeouts[name] : serviceTimeout;
+            if( timeout !== undefined ) {
+                const timeoutError = stalled(`service '${name}' in layer ${layerIdx}`);
+                loading = withTimeout( loading, timeout, () => {
+                    timedOut = true;
+                    return timeoutError();
+                });
+            }
+            return loading;
+        };
+
+        // Build a list of promises which settle once each service in the
+        // layer has either been instantiated or has failed.
+        let pending = names.map( name => {
+            return instantiate( name ).then(
+                service => { instances.set( name, service ) },
+                error   => { failures.set( name, error ) });
         });
 
         // Wait for all service instances to be resolved. Note that this
         // is done in parallel.
-        let services = await Promise.all( pending );
+        let loaded = Promise.all( pending );
+        let errors = [];
+        if( layerTimeout !== undefined ) {
+            try {
+                await withTimeout( loaded, layerTimeout, stalled(`layer ${layerIdx}`) );
+            }
+            catch( e ) {
+                errors.push( e );
+            }
+        }
+        else {
+            await loaded;
+        }
+
+        // Check for failures; list errors in the order the services are defined.
+        errors = names.filter( name => failures.has( name ) )
+            .map( name => failures.get( name ) )
+            .concat( errors );
+        if( errors.length > 0 ) {
+            abandoned = true;
+            // Stop any services in the layer which did start, followed by
+            // all previously started layers.
+            await rollback( app, instances );
+            if( errors.length == 1 ) {
+                throw errors[0];
+            }
+            let err = new Error(`Failed to start ${errors.length} services in layer ${layerIdx}`);
+            err.errors = errors;
+            err.cause = errors[0];
+            throw err;
+        }
 
         // Iterate over the resolved service instances and bind into
         // the app backbone.
-        services.forEach( ( service, idx ) => {
-            // Read the name corresponding to the current service.
-            let name = names[idx];
+        names.forEach( name => {
             // Bind the service to the backbone.
-            log(`> [${layerIdx}] Binding ${name}...`);
-            app.bind( name, service );
+            logger.info(`> [${layerIdx}] Binding ${name}...`, { service: name, layer: layerIdx });
+            let def = layer[name];
+            if( def instanceof LazyDefinition ) {
+                let timeout = timeouts[name] !== undefined ? timeouts[name] : serviceTimeout;
+                app._bindLazy( name, def.definition, layerIdx, timeout );
+                return;
+            }
+            app.bind( name, instances.get( name ), readProvides( unwrapDefinition( def ) ) );
+            if( def instanceof Contribution ) {
+                app.contribute( def.collection, app.services[name], {
+                    priority:       def.priority,
+                    contributor:    name
+                });
+            }
         });
 
+        // Record the layer's service names.
+        app._layers.push( names );
+
+        const duration = profiler.endLayer( layerIdx );
+        app.emit('layer-complete', { layer: layerIdx, services: names, duration });
+
     };
 
-    // Return the backbone.
-    return app;
+    profiler.end();
+    if( trace ) {
+        await writeTrace( trace, app.profile() );
+        logger.info(`Startup trace written to ${trace}`);
+    }
+
+    if( signals ) {
+        app.stopOnSignals( Array.isArray( signals ) ? signals : StopSignals );
+    }
+
+    app._started = true;
+    app._conformingListeners
+        .filter( listener => listener.bound.size == 0 )
+        .forEach( listener => app._logNearMisses( listener ) );
+
+    app.emit('started');
 }
 
 exports.start = start;
+exports.lazy = lazy;
+exports.LazyDefinition = LazyDefinition;
+exports.contributes = contributes;
+exports.Contribution = Contribution;
+exports.unwrapDefinition = unwrapDefinition;
+exports.readProvides = readProvides;
+exports.readParams = readParams;
+exports.readDependencies = readDependencies;
+exports.readConformingDependencies = readConformingDependencies;
 exports.readArgNames = readArgNames;
 exports.ArgListToken = ArgListToken;
+exports.IPCModeToken = IPCModeToken;
+exports.IPCServiceToken = IPCServiceToken;
@@ -0,0 +1,521 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+/* Functions for reading the parameters of service factory functions.
+ * Parameters are read, in order of preference, from:
+ * 1. A list of parameters pre-identified on the function using ArgListToken;
+ * 2. An explicit 'inject' list of dependencies declared on the function,
+ *    e.g. factory.inject = ['settings','db'] or, for a class, a static
+ *    'inject' property. This is the only option which survives minification,
+ *    as minifiers will normally rename function parameters.
+ * 3. The function's source code, as returned by Function.prototype.toString,
+ *    with any options declared in an 'inject' object applied by name.
+ *
+ * The source code is tokenized (discarding comments and treating string,
+ * template and regex literals as single tokens) before the parameter list is
+ * located and parsed. All the standard function forms are supported: function
+ * declarations and expressions, async and generator functions, arrow functions
+ * (with or without parentheses), object method shorthand and class
+ * constructors (including constructors inherited from a parent class).
+ * Parameters may have default values. An object destructuring pattern, e.g.
+ * '{ settings, db }', is read as a parameter which is passed an object with
+ * a property for each named service. Array destructuring patterns and rest
+ * parameters aren't supported.
+ */
+
+// A token used to pre-identify function arguments on a function instance.
+const ArgListToken = '__understruct_arguments';
+
+// Keywords after which a '/' starts a regex literal rather than a division.
+const RegexPrefixKeywords = [
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete',
+    'void', 'throw', 'case', 'do', 'else', 'yield', 'await'
+];
+
+// Token patterns; all are sticky, so that they only match at lastIndex.
+const IdentifierPattern = /#?[A-Za-z_$\u00a0-\uffff][\w$\u00a0-\uffff]*/y;
+const NumberPattern     = /\.?\d[\w.]*/y;
+const PunctuatorPattern = /=>|\.\.\.|[=!]==?|[<>]=?|&&|\|\||\?\?|\?\.(?!\d)|[-+*\/%&|^~!?:;,.(){}\[\]=@]/y;
+
+/**
+ * Tokenize JavaScript source code.
+ * This is a minimal tokenizer, sufficient only for finding and reading a
+ * function's parameter list. Whitespace and comments are discarded; string,
+ * regex and template literals (or the parts of template literals either side
+ * of a substitution) are returned as single tokens.
+ * @param src   The source code.
+ * @return A list of tokens, each with a 'type' and a string 'value'.
+ */
+function tokenize( src ) {
+    const tokens = [];
+    // The brace depth at the start of each open template substitution.
+    const substitutions = [];
+    let depth = 0;
+    let i = 0;
+    // Append a token and advance to the position following it.
+    const push = ( type, end ) => {
+        tokens.push({ type, value: src.slice( i, end ) });
+        i = end;
+    };
+    // Match a sticky pattern at the current position.
+    const match = pattern => {
+        pattern.lastIndex = i;
+        let r = pattern.exec( src );
+        return r && r[0];
+    };
+    while( i < src.length ) {
+        let ch = src[i];
+        let next = src[i + 1];
+        if( /\s/.test( ch ) ) {
+            i++;
+        }
+        else if( ch == '/' && next == '/' ) {
+            let end = src.indexOf('\n', i );
+            i = end < 0 ? src.length : end;
+        }
+        else if( ch == '/' && next == '*' ) {
+            let end = src.indexOf('*/', i + 2 );
+            i = end < 0 ? src.length : end + 2;
+        }
+        else if( ch == '"' || ch == "'" ) {
+            push('string', skipQuoted( src, i, ch ) );
+        }
+        else if( ch == '`' || (ch == '}' && substitutions[substitutions.length - 1] === depth) ) {
+            if( ch == '}' ) {
+                substitutions.pop();
+            }
+            // Scan to the end of the template, or the start of a substitution.
+            let j = i + 1;
+            while( j < src.length && src[j] != '`' && !(src[j] == '$' && src[j + 1] == '{') ) {
+                j += src[j] == '\\' ? 2 : 1;
+            }
+            if( src[j] == '$' ) {
+                substitutions.push( depth );
+                j++;
+            }
+            push('template', j + 1 );
+        }
+        else if( ch == '/' && startsRegex( tokens[tokens.length - 1] ) ) {
+            push('regex', skipRegex( src, i ) );
+        }
+        else {
+            let value;
+            if( (value = match( IdentifierPattern )) ) {
+                push('identifier', i + value.length );
+            }
+            else if( (value = match( NumberPattern )) ) {
+                push('number', i + value.length );
+            }
+            else if( (value = match( PunctuatorPattern )) ) {
+                if( value == '{' ) {
+                    depth++;
+                }
+                else if( value == '}' ) {
+                    depth--;
+                }
+                push('punctuator', i + value.length );
+            }
+            else {
+                // Unrecognized character; skip it.
+                i++;
+            }
+        }
+    }
+    return tokens;
+}
+
+/// Return the position following the end of a quoted string literal.
+function skipQuoted( src, i, quote ) {
+    let j = i + 1;
+    while( j < src.length && src[j] != quote ) {
+        j += src[j] == '\\' ? 2 : 1;
+    }
+    return j + 1;
+}
+
+/// Return the position following the end of a regex literal, including flags.
+function skipRegex( src, i ) {
+    let j = i + 1;
+    let inClass = false;
+    while( j < src.length && (inClass || src[j] != '/') ) {
+        if( src[j] == '\\' ) {
+            j++;
+        }
+        else if( src[j] == '[' ) {
+            inClass = true;
+        }
+        else if( src[j] == ']' ) {
+            inClass = false;
+        }
+        j++;
+    }
+    j++;
+    while( j < src.length && /\w/.test( src[j] ) ) {
+        j++;
+    }
+    return j;
+}
+
+/// Test whether a '/' following the specified token starts a regex literal.
+function startsRegex( prev ) {
+    if( !prev ) {
+        return true;
+    }
+    switch( prev.type ) {
+    case 'identifier':
+        return RegexPrefixKeywords.includes( prev.value );
+    case 'punctuator':
+        return !(prev.value == ')' || prev.value == ']' || prev.value == '}');
+    default:
+        return false;
+    }
+}
+
+/**
+ * Find the index of the token closing a bracketed group.
+ * @param tokens    A list of tokens.
+ * @param start     The index of the token opening the group.
+ * @return The index of the matching closing token.
+ */
+function closingIndex( tokens, start ) {
+    let depth = 0;
+    for( let i = start; i < tokens.length; i++ ) {
+        let { type, value } = tokens[i];
+        if( type == 'punctuator' ) {
+            if( value == '(' || value == '[' || value == '{' ) {
+                depth++;
+            }
+            else if( value == ')' || value == ']' || value == '}' ) {
+                depth--;
+                if( depth == 0 ) {
+                    return i;
+                }
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Split a list of tokens on commas which aren't within brackets.
+ * Empty items (e.g. following a trailing comma) are discarded.
+ */
+function splitOnCommas( tokens ) {
+    const items = [];
+    let item = [];
+    let depth = 0;
+    tokens.forEach( token => {
+        let { type, value } = token;
+        if( type == 'punctuator' ) {
+            if( value == '(' || value == '[' || value == '{' ) {
+                depth++;
+            }
+            else if( value == ')' || value == ']' || value == '}' ) {
+                depth--;
+            }
+            else if( value == ',' && depth == 0 ) {
+                items.push( item );
+                item = [];
+                return;
+            }
+        }
+        item.push( token );
+    });
+    items.push( item );
+    return items.filter( item => item.length > 0 );
+}
+
+/**
+ * Find the tokens of a function's parameter list.
+ * @param tokens    The function's source tokens.
+ * @param fn        The function; used to find an inherited class constructor.
+ * @return A list of tokens between the parameter list's parentheses; or
+ * undefined if the parameter list can't be found.
+ */
+function findParamTokens( tokens, fn ) {
+    const is = ( idx, value ) => tokens[idx] !== undefined && tokens[idx].value === value;
+    const isIdentifier = idx => tokens[idx] !== undefined && tokens[idx].type == 'identifier';
+    // Class.
+    if( is( 0, 'class') ) {
+        // Find the start of the class body.
+        let idx = 1;
+        while( idx < tokens.length && !is( idx, '{') ) {
+            idx = is( idx, '(') || is( idx, '[') ? closingIndex( tokens, idx ) + 1 : idx + 1;
+        }
+        const end = closingIndex( tokens, idx );
+        // Find a constructor method at the top level of the class body.
+        for( let i = idx + 1; i < end; i++ ) {
+            if( is( i, 'constructor') && is( i + 1, '(') && !is( i - 1, '.') ) {
+                return tokens.slice( i + 2, closingIndex( tokens, i + 1 ) );
+            }
+            if( is( i, '(') || is( i, '[') || is( i, '{') ) {
+                i = closingIndex( tokens, i );
+            }
+        }
+        // No constructor, so check for a constructor inherited from a parent class.
+        const parent = Object.getPrototypeOf( fn );
+        if( typeof parent === 'function' && parent !== Function.prototype ) {
+            return findParamTokens( tokenize( Function.prototype.toString.call( parent ) ), parent );
+        }
+        return [];
+    }
+    // Arrow function with a single parameter without parentheses, e.g. 'a => ...'
+    let idx = is( 0, 'async') && isIdentifier( 1 ) && is( 2, '=>') ? 1 : 0;
+    if( isIdentifier( idx ) && is( idx + 1, '=>') ) {
+        return [ tokens[idx] ];
+    }
+    // Skip any computed name of a method, e.g. '[Symbol.iterator]() { ... }'
+    idx = 0;
+    while( idx < tokens.length && !is( idx, '(') ) {
+        idx = is( idx, '[') ? closingIndex( tokens, idx ) + 1 : idx + 1;
+    }
+    if( idx >= tokens.length ) {
+        return undefined;
+    }
+    const end = closingIndex( tokens, idx );
+    if( end < 0 ) {
+        return undefined;
+    }
+    return tokens.slice( idx + 1, end );
+}
+
+/**
+ * Parse the parameters of a function from its source code.
+ * @param name  A service name; used in error messages.
+ * @param fn    A function.
+ * @return A list of parameter descriptors; see readParams().
+ */
+function parseParams( name, fn ) {
+    const src = Function.prototype.toString.call( fn );
+    // Native and bound functions don't expose their parameter names.
+    if( /\[native code\]\s*\}\s*$/.test( src ) && fn.length > 0 ) {
+        throw new Error(`Can't read argument names of factory function for service '${name}'`);
+    }
+    const tokens = findParamTokens( tokenize( src ), fn );
+    if( tokens === undefined ) {
+        throw new Error(`Can't read argument names of factory function for service '${name}'`);
+    }
+    return splitOnCommas( tokens ).map( param => {
+        let [ first ] = param;
+        if( first.type == 'identifier' ) {
+            let hasDefault = param.length > 1 && param[1].value === '=';
+            return { name: first.value, hasDefault };
+        }
+        if( first.value == '{' ) {
+            let end = closingIndex( param, 0 );
+            let hasDefault = end + 1 < param.length && param[end + 1].value === '=';
+            let keys = splitOnCommas( param.slice( 1, end ) ).map( entry => {
+                let [ key ] = entry;
+                if( key.type == 'identifier' ) {
+                    return key.value;
+                }
+                if( key.type == 'string' ) {
+                    return key.value.slice( 1, -1 );
+                }
+                throw new Error(`Unsupported destructuring in argument of factory function for service '${name}'`);
+            });
+            return { keys, hasDefault };
+        }
+        let src = param.map( token => token.value ).join('');
+        throw new Error(`Unsupported argument '${src}' of factory function for service '${name}'`);
+    });
+}
+
+/**
+ * Test whether a function is a class.
+ */
+function isClass( fn ) {
+    return /^class\b/.test( Function.prototype.toString.call( fn ) );
+}
+
+/**
+ * Normalize a dependency declaration to a parameter descriptor.
+ * @param name  A service name; used in error messages.
+ * @param decl  A dependency declaration; either a service name, optionally
+ *              followed by '?' to indicate an optional dependency; or an
+ *              object describing the dependency.
+ * @return A parameter descriptor; see readParams().
+ */
+function normalize( name, decl ) {
+    if( typeof decl === 'string' ) {
+        let optional = decl.endsWith('?');
+        let service = optional ? decl.slice( 0, -1 ) : decl;
+        return { name: service, service, optional };
+    }
+    if( decl && typeof decl === 'object' ) {
+        if( Array.isArray( decl.keys ) ) {
+            let keys = decl.keys.map( key => normalize( name, key ) );
+            return { keys, optional: !!(decl.optional || decl.hasDefault) };
+        }
+        let { conforming, list = false } = decl;
+        let service = conforming === undefined ? (decl.service || decl.name) : undefined;
+        if( conforming === undefined && typeof service !== 'string' ) {
+            throw new TypeError(`Bad dependency declaration for service '${name}'`);
+        }
+        let optional = !!(decl.optional || decl.hasDefault) || decl.default !== undefined;
+        return {
+            name:       decl.name || service,
+            service,
+            optional,
+            default:    decl.default,
+            conforming,
+            list:       !!list
+        };
+    }
+    throw new TypeError(`Bad dependency declaration for service '${name}'`);
+}
+
+/**
+ * Merge dependency options declared by name into a list of parameters.
+ * @param name      A service name; used in error messages.
+ * @param params    A list of parameters read from a function's source.
+ * @param options   A map of dependency options, keyed by parameter name.
+ *                  Each value is either the name of the service to inject
+ *                  as the parameter (i.e. an alias); or an object of
+ *                  dependency options (see readParams()).
+ * @return A list of parameter declarations.
+ */
+function merge( name, params, options ) {
+    const unused = new Set( Object.keys( options ) );
+    const apply = param => {
+        let option = options[param.name];
+        if( option === undefined ) {
+            return param;
+        }
+        unused.delete( param.name );
+        if( typeof option === 'string' ) {
+            option = { service: option };
+        }
+        return Object.assign( {}, param, option );
+    };
+    params = params.map( param => {
+        if( param.keys ) {
+            let keys = param.keys.map( key => apply({ name: key }) );
+            return Object.assign( {}, param, { keys });
+        }
+        return apply( param );
+    });
+    if( unused.size > 0 ) {
+        let names = Array.from( unused ).join(', ');
+        throw new Error(`Declared dependencies don't match any argument of factory function for service '${name}': ${names}`);
+    }
+    return params;
+}
+
+/**
+ * Read the parameters of a service factory function.
+ * Dependencies can be declared using an 'inject' property on the function,
+ * which can be either:
+ * - A list of dependency declarations, used in place of the function's own
+ *   parameters. Each declaration is either a service name, optionally
+ *   followed by '?' to indicate an optional dependency, e.g. 'cache?';
+ *   or an object with the dependency options listed below.
+ * - An object mapping the names of the function's own parameters to either
+ *   the name of the service to inject (i.e. an alias, e.g. { db: 'pgdb' });
+ *   or an object with the dependency options listed below.
+ * The dependency options are:
+ * - name: The parameter name.
+ * - service: The name of the service to inject; defaults to the parameter name.
+ * - optional: If true then the parameter is passed 'undefined' (so taking
+ *   its default value, if any) when the service isn't bound. Parameters with
+ *   default values are always optional.
+ * - default: A value to pass when the service isn't bound. Implies optional.
+ * - conforming: An interface definition, or the name of an interface; the
+ *   parameter is passed the bound service conforming to the interface,
+ *   instead of a named service. It's an error if more than one bound service
+ *   conforms.
+ * - list: If true then a conforming parameter is passed a list of all bound
+ *   services conforming to the interface.
+ * @param name  A service name; used in error messages.
+ * @param fn    A service factory function or class.
+ * @return A list of parameter descriptors. Each descriptor has either the
+ * normalized dependency options listed above; or a 'keys' property, giving
+ * a list of descriptors of services to pass as properties of an object
+ * argument, together with an 'optional' flag.
+ */
+function readParams( name, fn ) {
+    // Check for a pre-identified list of arguments on the function.
+    // (This can be useful when the actual function is nested within another
+    // function call; see IPCService code for a sample of its use).
+    let args = fn[ArgListToken];
+    if( args ) {
+        return args.map( arg => normalize( name, arg ) );
+    }
+    let { inject } = fn;
+    // Check for a declared list of dependencies.
+    if( Array.isArray( inject ) ) {
+        return inject.map( decl => normalize( name, decl ) );
+    }
+    let params = parseParams( name, fn );
+    // Check for declared options for named parameters.
+    if( inject !== undefined ) {
+        if( typeof inject !== 'object' || inject === null ) {
+            throw new TypeError(`Factory function 'inject' property must be a list or an object for service '${name}'`);
+        }
+        params = merge( name, params, inject );
+    }
+    return params.map( param => normalize( name, param ) );
+}
+
+/**
+ * Return the list of named service dependencies of a service factory function.
+ * Services passed as properties of a destructured object argument are
+ * included in the list; conforming-interface dependencies aren't.
+ * @param name  A service name.
+ * @param fn    A service factory function.
+ * @return A list of dependencies, each with 'service' and 'optional' properties.
+ */
+function readDependencies( name, fn ) {
+    return readParams( name, fn )
+        .reduce( ( deps, param ) => deps.concat( param.keys || param ), [])
+        .filter( dep => dep.conforming === undefined )
+        .map( dep => ({ service: dep.service, optional: dep.optional }) );
+}
+
+/**
+ * Return the list of conforming-interface dependencies of a service factory
+ * function.
+ * @param name  A service name.
+ * @param fn    A service factory function.
+ * @return A list of dependencies, each with 'name', 'conforming', 'list' and
+ * 'optional' properties.
+ */
+function readConformingDependencies( name, fn ) {
+    return readParams( name, fn )
+        .reduce( ( deps, param ) => deps.concat( param.keys || param ), [])
+        .filter( dep => dep.conforming !== undefined )
+        .map( ({ name, conforming, list, optional }) => ({ name, conforming, list, optional }) );
+}
+
+/**
+ * Return the list of argument names for a service factory function.
+ * This is the list of the names of the services the function depends on;
+ * see readDependencies().
+ * @param name  A service name.
+ * @param fn    A service factory function.
+ * @return A list of argument names.
+ */
+function readArgNames( name, fn ) {
+    return readDependencies( name, fn ).map( dep => dep.service );
+}
+
+exports.ArgListToken = ArgListToken;
+exports.tokenize = tokenize;
+exports.readParams = readParams;
+exports.readDependencies = readDependencies;
+exports.readConformingDependencies = readConformingDependencies;
+exports.readArgNames = readArgNames;
+exports.isClass = isClass;
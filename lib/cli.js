@@ -0,0 +1,430 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+/* The understruct command-line launcher.
+ * Usage: understruct <command> [options]
+ * See Usage below for the supported commands.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const Path = require('path');
+
+const { readDependencies, readConformingDependencies, readProvides, unwrapDefinition, LazyDefinition, Contribution, IPCModeToken } = require('./app');
+const { readManifest, resolveManifest, startManifest } = require('./manifest');
+const { DefaultAppspace, SocketRoot } = require('./ipc/ipc');
+
+const Usage = `Usage: understruct <command> [options]
+
+Commands:
+  start <manifest>  Start a backbone from a manifest.
+  plan <manifest>   Print the service layers a manifest resolves to.
+  check <manifest>  Check that every service's dependencies can be resolved.
+  ps                List the IPC services listening in an appspace.
+
+Options:
+  --role <role>           The role to start or check a manifest in; check
+                          tests every role declared by the manifest by default.
+  --log-level <level>     The minimum log level (debug, info, warn, error).
+  --trace <file>          Write a startup trace to a file (start).
+  --json                  Print JSON output (plan, ps).
+  --appspace <appspace>   The IPC appspace (ps); defaults to '${DefaultAppspace}'.
+  --socket-root <dir>     The IPC socket directory (ps); defaults to '${SocketRoot}'.
+  --help                  Print this message.
+`;
+
+// Options which take a value.
+const ValueOptions = ['role','log-level','trace','appspace','socket-root'];
+
+// Options which are flags.
+const FlagOptions = ['json','help'];
+
+// Exit codes.
+const OK = 0;
+const Failed = 1;
+const UsageError = 2;
+
+/**
+ * An error in the command line arguments.
+ */
+class ArgsError extends Error {}
+
+/**
+ * Parse command line arguments.
+ * @param argv  A list of command line arguments.
+ * @return An object with a list of positional 'args' and a map of 'options'.
+ */
+function parseArgs( argv ) {
+    const args = [];
+    const options = {};
+    for( let i = 0; i < argv.length; i++ ) {
+        let arg = argv[i];
+        if( !arg.startsWith('--') ) {
+            args.push( arg );
+            continue;
+        }
+        let name = arg.substring( 2 );
+        let value;
+        let idx = name.indexOf('=');
+        if( idx > -1 ) {
+            value = name.substring( idx + 1 );
+            name = name.substring( 0, idx );
+        }
+        if( FlagOptions.includes( name ) && value === undefined ) {
+            options[name] = true;
+        }
+        else if( ValueOptions.includes( name ) ) {
+            if( value === undefined ) {
+                value = argv[++i];
+                if( value === undefined ) {
+                    throw new ArgsError(`Missing value for option --${name}`);
+                }
+            }
+            options[name] = value;
+        }
+        else {
+            throw new ArgsError(`Unknown option: ${arg}`);
+        }
+    }
+    return { args, options };
+}
+
+/**
+ * Format an error, including its cause chain and any aggregated errors.
+ * @param err       An error.
+ * @param indent    The indentation of each line.
+ */
+function formatError( err, indent = '') {
+    let lines = [ indent + (err && err.message || String( err )) ];
+    if( err && Array.isArray( err.errors ) ) {
+        err.errors.forEach( e => lines.push( formatError( e, indent + '  ') ) );
+    }
+    else if( err && err.cause ) {
+        lines.push(`${indent}  caused by: ${formatError( err.cause, indent + '  ').trim()}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Read the manifest path argument of a command, and the manifest's directory.
+ */
+function readManifestArg( args ) {
+    let file = args[0];
+    if( !file ) {
+        throw new ArgsError('A manifest file is required');
+    }
+    return { file, basedir: Path.dirname( Path.resolve( file ) ) };
+}
+
+/**
+ * Start a backbone from a manifest. The backbone is stopped, and the
+ * process exited, when the process receives a SIGINT or SIGTERM.
+ */
+async function startCommand( args, options, io ) {
+    const { file } = readManifestArg( args );
+    let app;
+    try {
+        app = await startManifest( file, {
+            role:       options.role,
+            logLevel:   options['log-level'],
+            trace:      options.trace,
+            signals:    true
+        });
+    }
+    catch( e ) {
+        io.stderr.write( formatError( e ) + '\n');
+        return Failed;
+    }
+    const role = options.role !== undefined ? ` in role '${options.role}'` : '';
+    app.logger.info(`Started ${file}${role}`);
+    // Keep the process running until the backbone is stopped.
+    const timerID = setInterval( () => {}, 1 << 30 );
+    await new Promise( resolve => app.once('stopped', resolve ) );
+    clearInterval( timerID );
+    return OK;
+}
+
+/**
+ * Print the service layers a manifest resolves to.
+ */
+async function planCommand( args, options, io ) {
+    const { file, basedir } = readManifestArg( args );
+    const layers = resolveManifest( readManifest( file ), { role: options.role, basedir });
+    const plan = layers.map( ( layer, idx ) => {
+        let services = Object.keys( layer ).map( name => {
+            let def = unwrapDefinition( layer[name] );
+            let mode = typeof def === 'function' ? def[IPCModeToken] : undefined;
+            let service = mode ? { name, mode } : { name };
+            if( layer[name] instanceof LazyDefinition ) {
+                service.lazy = true;
+            }
+            if( layer[name] instanceof Contribution ) {
+                service.contributes = layer[name].collection;
+            }
+            return service;
+        });
+        return { layer: idx, services };
+    });
+    if( options.json ) {
+        io.stdout.write( JSON.stringify( plan, null, 2 ) + '\n');
+        return OK;
+    }
+    plan.forEach( ({ layer, services }) => {
+        io.stdout.write(`Layer ${layer}:\n`);
+        services.forEach( ({ name, mode, lazy, contributes }) => {
+            let notes = [ mode, lazy && 'lazy', contributes && `contributes to ${contributes}` ]
+                .filter( note => note );
+            io.stdout.write(`  ${name}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}\n`);
+        });
+    });
+    return OK;
+}
+
+/**
+ * Check that the dependencies of every service in a list of layers can be
+ * resolved.
+ * @param layers    A list of service layer definitions.
+ * @return A list of problem descriptions.
+ */
+function checkLayers( layers ) {
+    const problems = [];
+    // A map of the layer index of each service, keyed by service name.
+    const layerOf = {};
+    layers.forEach( ( layer, idx ) => {
+        Object.keys( layer ).forEach( name => {
+            if( layerOf[name] !== undefined ) {
+                problems.push(`Duplicate service: '${name}' in layers ${layerOf[name]} and ${idx}`);
+            }
+            else {
+                layerOf[name] = idx;
+            }
+        });
+    });
+    // A collection is available once all of its contributors are bound.
+    const collectionLayers = {};
+    layers.forEach( ( layer, idx ) => {
+        Object.keys( layer ).forEach( name => {
+            let def = layer[name];
+            if( def instanceof Contribution ) {
+                let { collection } = def;
+                if( layerOf[collection] !== undefined ) {
+                    problems.push(`Collection '${collection}' has the same name as a service`);
+                }
+                collectionLayers[collection] = Math.max( idx, collectionLayers[collection] || 0 );
+            }
+        });
+    });
+    Object.keys( collectionLayers ).forEach( collection => {
+        if( layerOf[collection] === undefined ) {
+            layerOf[collection] = collectionLayers[collection];
+        }
+    });
+    // The names of the services declaring each named interface, keyed by
+    // interface name.
+    const providers = {};
+    layers.forEach( layer => {
+        Object.keys( layer ).forEach( name => {
+            try {
+                readProvides( unwrapDefinition( layer[name] ) ).forEach( ifname => {
+                    providers[ifname] = (providers[ifname] || []).concat( name );
+                });
+            }
+            catch( e ) {
+                problems.push(`${e.message} for '${name}'`);
+            }
+        });
+    });
+    layers.forEach( ( layer, idx ) => {
+        Object.keys( layer ).forEach( name => {
+            let def = unwrapDefinition( layer[name] );
+            if( typeof def !== 'function' ) {
+                return;
+            }
+            let dependencies, conforming;
+            try {
+                dependencies = readDependencies( name, def );
+                conforming = readConformingDependencies( name, def );
+            }
+            catch( e ) {
+                problems.push( e.message );
+                return;
+            }
+            dependencies
+                .filter( dep => !dep.optional )
+                .forEach( dep => {
+                    let depLayer = layerOf[dep.service];
+                    if( depLayer === undefined ) {
+                        problems.push(`Unresolved dependency: '${dep.service}' for '${name}'`);
+                    }
+                    else if( depLayer >= idx ) {
+                        problems.push(`Dependency '${dep.service}' for '${name}' in layer ${idx} is in layer ${depLayer}`);
+                    }
+                });
+            // Check conforming dependencies on named interfaces against the
+            // services declaring the interface.
+            conforming
+                .filter( dep => typeof dep.conforming === 'string' )
+                .forEach( dep => {
+                    let provided = (providers[dep.conforming] || []).filter( provider => provider !== name );
+                    provided
+                        .filter( provider => layerOf[provider] >= idx )
+                        .forEach( provider => {
+                            problems.push(`Conforming dependency '${dep.name}' for '${name}' in layer ${idx} is provided by '${provider}' in layer ${layerOf[provider]}`);
+                        });
+                    if( provided.length > 1 && !dep.list ) {
+                        problems.push(`Ambiguous conforming dependency: '${dep.name}' for '${name}' matches services: ${provided.join(', ')}`);
+                    }
+                });
+        });
+    });
+    return problems;
+}
+
+/**
+ * Check that the dependencies of every service in a manifest can be resolved.
+ */
+async function checkCommand( args, options, io ) {
+    const { file, basedir } = readManifestArg( args );
+    const manifest = readManifest( file );
+    // Check the specified role; or else every role declared by the manifest.
+    let roles = [ options.role ];
+    if( options.role === undefined && Array.isArray( manifest.roles ) ) {
+        roles = manifest.roles;
+    }
+    let failed = false;
+    roles.forEach( role => {
+        const label = role !== undefined ? `Role '${role}'` : 'Manifest';
+        let layers;
+        let problems;
+        try {
+            layers = resolveManifest( manifest, { role, basedir });
+            problems = checkLayers( layers );
+        }
+        catch( e ) {
+            problems = [ formatError( e ) ];
+        }
+        if( problems.length > 0 ) {
+            failed = true;
+            io.stdout.write(`${label}: ${problems.length} problem(s)\n`);
+            problems.forEach( problem => io.stdout.write(`  ${problem}\n`) );
+            return;
+        }
+        const count = layers.reduce( ( count, layer ) => count + Object.keys( layer ).length, 0 );
+        io.stdout.write(`${label}: OK (${count} services in ${layers.length} layers)\n`);
+    });
+    return failed ? Failed : OK;
+}
+
+/**
+ * Test whether an IPC socket is accepting connections.
+ * @param path  The socket path.
+ * @return A promise resolving to true if the socket accepts connections.
+ */
+function isListening( path ) {
+    return new Promise( resolve => {
+        const socket = net.createConnection( path );
+        socket.once('connect', () => {
+            socket.destroy();
+            resolve( true );
+        });
+        socket.once('error', () => resolve( false ) );
+    });
+}
+
+/**
+ * List the IPC services in an appspace, by listing the sockets in the IPC
+ * socket directory with the appspace prefix.
+ */
+async function psCommand( args, options, io ) {
+    const appspace = options.appspace || DefaultAppspace;
+    const socketRoot = options['socket-root'] || SocketRoot;
+    const files = fs.readdirSync( socketRoot )
+        .filter( file => file.startsWith( appspace ) && file.length > appspace.length )
+        .sort();
+    const sockets = await Promise.all( files.map( async file => {
+        const path = Path.join( socketRoot, file );
+        const listening = await isListening( path );
+        return { id: file.substring( appspace.length ), path, status: listening ? 'listening' : 'stale' };
+    }));
+    if( options.json ) {
+        io.stdout.write( JSON.stringify( sockets, null, 2 ) + '\n');
+        return OK;
+    }
+    if( sockets.length == 0 ) {
+        io.stdout.write(`No IPC services found in appspace '${appspace}'\n`);
+        return OK;
+    }
+    sockets.forEach( ({ id, path, status }) => {
+        io.stdout.write(`${id}\t${status}\t${path}\n`);
+    });
+    return OK;
+}
+
+// The supported commands, keyed by name.
+const Commands = {
+    start:  startCommand,
+    plan:   planCommand,
+    check:  checkCommand,
+    ps:     psCommand
+};
+
+/**
+ * Run the command line launcher.
+ * @param argv  A list of command line arguments, excluding the node
+ *              executable and script path.
+ * @param io    (Optional) an object with the 'stdout' and 'stderr' streams
+ *              to write output to.
+ * @return A promise resolving to the process exit code.
+ */
+async function main( argv, io = process ) {
+    let args, options;
+    try {
+        ({ args, options } = parseArgs( argv ));
+    }
+    catch( e ) {
+        io.stderr.write(`${e.message}\n\n${Usage}`);
+        return UsageError;
+    }
+    const [ name, ...rest ] = args;
+    if( options.help ) {
+        io.stdout.write( Usage );
+        return OK;
+    }
+    if( name === undefined ) {
+        io.stderr.write( Usage );
+        return UsageError;
+    }
+    const command = Commands[name];
+    if( !command ) {
+        io.stderr.write(`Unknown command: ${name}\n\n${Usage}`);
+        return UsageError;
+    }
+    try {
+        return await command( rest, options, io );
+    }
+    catch( e ) {
+        if( e instanceof ArgsError ) {
+            io.stderr.write(`${e.message}\n\n${Usage}`);
+            return UsageError;
+        }
+        io.stderr.write( formatError( e ) + '\n');
+        return Failed;
+    }
+}
+
+exports.main = main;
+exports.parseArgs = parseArgs;
+exports.checkLayers = checkLayers;
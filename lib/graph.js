@@ -0,0 +1,96 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+/* Serializers for the service graph returned by App.describe(). */
+
+/// Graphviz edge attributes for each dependency edge type.
+const EdgeStyles = {
+    'backward':     '',
+    'forward':      ' [style=dashed]',
+    'conforming':   ' [style=dotted]'
+};
+
+/**
+ * Serialize a service graph to JSON.
+ * @param graph     A service graph, as returned by App.describe().
+ * @param indent    (Optional) the number of spaces to indent by.
+ * @return A JSON string.
+ */
+function toJSON( graph, indent = 2 ) {
+    return JSON.stringify( graph, null, indent );
+}
+
+/**
+ * Serialize a service graph to Graphviz DOT format.
+ * Services are drawn as nodes grouped into a cluster for each layer, with
+ * dependencies drawn as edges from the dependent service to the service
+ * depended on. Backward dependencies are drawn as solid lines, forward
+ * dependencies as dashed lines, and conforming-interface dependencies
+ * as dotted lines.
+ * @param graph     A service graph, as returned by App.describe().
+ * @param name      (Optional) a name for the graph.
+ * @return A DOT format string.
+ */
+function toDOT( graph, name = 'understruct' ) {
+    const lines = [`digraph ${quote( name )} {`, '    rankdir=BT;'];
+    // Group services by layer.
+    const layers = [];
+    const unlayered = [];
+    graph.services.forEach( service => {
+        let { layer } = service;
+        if( layer === undefined ) {
+            unlayered.push( service );
+        }
+        else {
+            (layers[layer] || (layers[layer] = [])).push( service );
+        }
+    });
+    // Generate a node for a service.
+    const node = service => {
+        let label = service.ipc ? `${service.name}\\n(${service.ipc})` : service.name;
+        let shape = service.kind == 'object' ? 'note' : 'box';
+        return `${quote( service.name )} [label=${quote( label, false )}, shape=${shape}];`;
+    };
+    layers.forEach( ( services, idx ) => {
+        lines.push(`    subgraph cluster_layer${idx} {`);
+        lines.push(`        label="Layer ${idx}";`);
+        services.forEach( service => lines.push(`        ${node( service )}`) );
+        lines.push('    }');
+    });
+    unlayered.forEach( service => lines.push(`    ${node( service )}`) );
+    graph.edges.forEach( edge => {
+        let style = EdgeStyles[edge.type] || '';
+        lines.push(`    ${quote( edge.from )} -> ${quote( edge.to )}${style};`);
+    });
+    lines.push('}');
+    return lines.join('\n')+'\n';
+}
+
+/**
+ * Quote a DOT identifier.
+ * @param id        The identifier to quote.
+ * @param escape    If true then backslashes in the identifier are escaped.
+ */
+function quote( id, escape = true ) {
+    id = String( id );
+    if( escape ) {
+        id = id.replace(/\\/g, '\\\\');
+    }
+    return `"${id.replace(/"/g, '\\"')}"`;
+}
+
+exports.toJSON = toJSON;
+exports.toDOT = toDOT;
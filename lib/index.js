@@ -14,9 +14,40 @@
    limitations under the License.
  */
 
-const { start } = require('./app');
+const { start, lazy, contributes } = require('./app');
+
+const { inferLayers, autostart } = require('./layers');
+
+const { toJSON, toDOT } = require('./graph');
 
 const { IPCService } = require('./ipc');
 
-module.exports = { start, IPCService };
+const { makeLogger } = require('./logger');
+
+const { toTraceEvents, writeTrace } = require('./profile');
+
+const { readManifest, resolveManifest, startManifest } = require('./manifest');
+
+const testing = require('./testing');
+
+const InterfaceDef = require('./interface-def');
+
+module.exports = {
+    start,
+    lazy,
+    contributes,
+    autostart,
+    inferLayers,
+    toJSON,
+    toDOT,
+    IPCService,
+    makeLogger,
+    toTraceEvents,
+    writeTrace,
+    readManifest,
+    resolveManifest,
+    startManifest,
+    testing,
+    InterfaceDef
+};
 
@@ -0,0 +1,169 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const { EventEmitter } = require('events');
+const InterfaceDef = require('./interface-def');
+
+/**
+ * Make an interceptor.
+ * @param target        A service name, or an interface definition selecting
+ *                      the services conforming to the interface.
+ * @param interceptor   An object with the following optional properties:
+ *                      - before: A function called before each intercepted
+ *                        method call, with a call object describing the call.
+ *                      - after: A function called after each intercepted
+ *                        method call completes; the call object's 'result'
+ *                        property holds the call result. If the function
+ *                        returns a value other than undefined then it replaces
+ *                        the call result.
+ *                      - error: A function called when an intercepted method
+ *                        call fails; the call object's 'error' property holds
+ *                        the error. The error is rethrown once the function
+ *                        returns.
+ *                      - methods: A list of the names of the methods to
+ *                        intercept. By default, all methods are intercepted
+ *                        except those inherited from Object or EventEmitter.
+ * @return An interceptor record.
+ */
+function makeInterceptor( target, interceptor ) {
+    if( typeof interceptor !== 'object' || interceptor === null ) {
+        throw new TypeError('Interceptor must be an object');
+    }
+    const { before, after, error, methods } = interceptor;
+    [ before, after, error ].forEach( fn => {
+        if( fn !== undefined && typeof fn !== 'function' ) {
+            throw new TypeError('Interceptor before, after and error must be functions');
+        }
+    });
+    if( methods !== undefined && !Array.isArray( methods ) ) {
+        throw new TypeError('Interceptor methods must be an array');
+    }
+    let selects;
+    if( typeof target === 'string' ) {
+        selects = name => name === target;
+    }
+    else {
+        const iftest = InterfaceDef.compile( target );
+        selects = ( name, service ) => iftest( service );
+    }
+    return { selects, before, after, error, methods };
+}
+
+/**
+ * Test whether a service method is intercepted by an interceptor.
+ * @param interceptor   An interceptor record.
+ * @param method        The method name.
+ */
+function intercepts( interceptor, method ) {
+    const { methods } = interceptor;
+    if( methods ) {
+        return methods.includes( method );
+    }
+    return !(method in Object.prototype) && !(method in EventEmitter.prototype);
+}
+
+/**
+ * Test whether a value is a service which can be intercepted.
+ */
+function isInterceptable( service ) {
+    return (typeof service === 'object' && service !== null) || typeof service === 'function';
+}
+
+/**
+ * Wrap a service in a proxy which passes its method calls through any
+ * interceptors selecting the service.
+ * The interceptors are read each time a method is called, so interceptors
+ * registered or removed after the service is wrapped take effect immediately.
+ * @param name          The service name.
+ * @param service       The service instance.
+ * @param interceptors  A function returning the current list of interceptors.
+ * @return A proxy for the service.
+ */
+function wrapService( name, service, interceptors ) {
+    // Wrapped methods, keyed by property name.
+    const wrappers = new Map();
+    // Return the receiver to use for a method call or property read; the
+    // service itself is used in place of the proxy, so that built-in types
+    // (e.g. Map) and classes with private fields see their own instance.
+    const unwrap = receiver => receiver === proxy ? service : receiver;
+    // Make a wrapper for a method.
+    const wrap = ( method, fn ) => function( ...args ) {
+        const self = unwrap( this );
+        const active = interceptors().filter( interceptor => {
+            return interceptor.selects( name, service ) && intercepts( interceptor, method );
+        });
+        if( active.length == 0 ) {
+            return fn.apply( self, args );
+        }
+        const call = { service: name, method, args };
+        active.forEach( interceptor => interceptor.before && interceptor.before( call ) );
+        // Note that after and error functions are called in reverse order.
+        active.reverse();
+        const completed = result => {
+            call.result = result;
+            active.forEach( interceptor => {
+                if( interceptor.after ) {
+                    let result = interceptor.after( call );
+                    if( result !== undefined ) {
+                        call.result = result;
+                    }
+                }
+            });
+            return call.result;
+        };
+        const failed = err => {
+            call.error = err;
+            active.forEach( interceptor => interceptor.error && interceptor.error( call ) );
+            throw err;
+        };
+        let result;
+        try {
+            result = fn.apply( self, call.args );
+        }
+        catch( e ) {
+            failed( e );
+        }
+        if( result && typeof result.then === 'function' ) {
+            return result.then( completed, failed );
+        }
+        return completed( result );
+    };
+    const proxy = new Proxy( service, {
+        get( target, property, receiver ) {
+            const value = Reflect.get( target, property, unwrap( receiver ) );
+            if( typeof value !== 'function' || typeof property !== 'string' || property == 'constructor' ) {
+                return value;
+            }
+            // Note that a proxy must return the actual value of a read-only,
+            // non-configurable property.
+            const descriptor = Reflect.getOwnPropertyDescriptor( target, property );
+            if( descriptor && !descriptor.configurable && !descriptor.writable ) {
+                return value;
+            }
+            let wrapper = wrappers.get( property );
+            if( !wrapper || wrapper.fn !== value ) {
+                wrapper = { fn: value, wrapped: wrap( property, value ) };
+                wrappers.set( property, wrapper );
+            }
+            return wrapper.wrapped;
+        }
+    });
+    return proxy;
+}
+
+exports.makeInterceptor = makeInterceptor;
+exports.isInterceptable = isInterceptable;
+exports.wrapService = wrapService;
@@ -27,7 +27,35 @@ const Tests = {
     // Test that a value is a number.
     'number':   value => typeof value === 'number',
     // Test that a value is a boolean.
-    'boolean':  value => typeof value === 'boolean'
+    'boolean':  value => typeof value === 'boolean',
+    // Test that a value is a promise, or other thenable.
+    'promise':  value => value !== null && value !== undefined && typeof value.then === 'function',
+    // Test that a value is an async function.
+    'asyncfunction': value => typeof value === 'function' && value.constructor.name === 'AsyncFunction',
+    // Test that a value is defined.
+    'any':      value => value !== undefined
+}
+
+/**
+ * A property type test, made using one of the type helper functions
+ * (instanceOf(), predicate(), optional() or arrayOf()).
+ */
+class TypeTest {
+
+    /**
+     * Make a new type test.
+     * @param test          A function testing whether a value is of the type.
+     * @param description   A description of the type.
+     * @param optional      If true then the property may be undefined.
+     * @param nested        (Optional) for nested interface definitions, the
+     *                      compiled definition.
+     */
+    constructor( test, description, optional = false, nested ) {
+        this.test = test;
+        this.description = description;
+        this.optional = optional;
+        this.nested = nested;
+    }
 }
 
 /**
@@ -43,6 +71,17 @@ const Tests = {
  *          "property2":    "array"
  *      }
  *
+ * Types are one of the type names 'function', 'object', 'array', 'string',
+ * 'number', 'boolean', 'promise' (any thenable), 'asyncfunction' or 'any'
+ * (any defined value); or a type expression combining the following:
+ * - Literal values: "'read'", "42", "true", "null".
+ * - Unions: "string|number", "'read'|'write'".
+ * - Arrays of a type: "string[]", "(string|number)[]".
+ * - Function arity: "function(2)" - a function declaring two parameters.
+ * - Optional properties: "string?" - a string, or undefined.
+ * A type can also be a nested interface definition, or made using one of
+ * the instanceOf(), predicate(), optional() or arrayOf() functions.
+ *
  * Interfaces may also be defined as an array of required property names,
  * so the definition:
  *
@@ -51,8 +90,8 @@ const Tests = {
  * Is equivalent to the definition:
  *
  *      {
- *          "property1":    "object",
- *          "property2":    "object"
+ *          "property1":    "any",
+ *          "property2":    "any"
  *      }
  */
 function compile( ifdef ) {
@@ -60,52 +99,266 @@ function compile( ifdef ) {
     if( ifdef.__IsIFDef ) {
         return ifdef;
     }
-    // If interface defintion is given as an array then convert to 
+    // If interface defintion is given as an array then convert to
     // object format.
     if( Array.isArray( ifdef ) ) {
         ifdef = ifdef.reduce( ( def, item ) => {
-            def[item] = 'object';
+            def[item] = 'any';
             return def;
         }, {});
     }
     else if( typeof ifdef !== 'object' ) {
         throw new Error('Bad interface definition');
     }
-    // Generate a test for each property in the interface definition.
-    const tests = Object.keys( ifdef )
-        .map( name => {
-            // Read the required property type.
-            const type  = ifdef[name];
-            // Lookup a test for the type.
-            const isa = test( type, name );
-            // Return a function to apply the test to an object.
-            return obj => isa( obj[name] );
-        });
+    // Read the type of each property in the interface definition.
+    const properties = Object.keys( ifdef )
+        .map( name => ({ name, type: typeTest( ifdef[name], name ) }) );
+    // Generate a test for each property.
+    const tests = properties.map( ({ name, type }) => {
+        const { test, optional } = type;
+        // Return a function to apply the test to an object.
+        return obj => {
+            let value = obj[name];
+            return (optional && value === undefined) || test( value );
+        };
+    });
     // Return a function for applying all property tests to an object.
     function iftest( obj ) {
-        if( obj === undefined ) {
+        if( obj === undefined || obj === null ) {
             return false;
         }
         return tests.reduce( ( ok, test ) => (ok && test( obj )), true );
     }
     iftest.__IsIFDef = true;
+    iftest.__properties = properties;
     return iftest;
 }
 
 /// Construct a value type test for a named property.
-function test( type, name ) {
+function typeTest( type, name ) {
     if( typeof type === 'string' ) {
-        // Convert a type definition like 'object' to a function performing the test.
-        let isa = Tests[type];
-        // Make sure we have a test.
-        if( isa === undefined ) {
-            throw new Error(`Unsupported type '${type}' for property '${name}'`);
-        }
-        return isa;
+        // Parse a type expression like 'string|number?'.
+        return parseType( type, name );
+    }
+    if( type instanceof TypeTest ) {
+        return type;
     }
     // Type definition is a nested compound type.
     const isa = compile( type );
-    return obj => obj !== undefined && isa( obj );
+    return new TypeTest( obj => obj !== undefined && isa( obj ), 'object', false, isa );
+}
+
+/**
+ * Parse a type expression.
+ * @param expr  A type expression.
+ * @param name  The name of the property the type applies to.
+ * @return A type test.
+ */
+function parseType( expr, name ) {
+    // Split the expression into tokens - names, numbers, quoted strings
+    // and punctuation - ignoring whitespace.
+    const tokens = [];
+    const source = expr.trim();
+    const re = /\s*([A-Za-z]+|-?\d+(?:\.\d+)?|'[^']*'|"[^"]*"|\[\]|[|?()])/y;
+    let match;
+    while( re.lastIndex < source.length && (match = re.exec( source )) ) {
+        tokens.push( match[1] );
+    }
+    // Note that the regex's lastIndex is reset to zero if a match fails.
+    if( re.lastIndex < source.length || tokens.length == 0 ) {
+        throw new Error(`Bad type '${expr}' for property '${name}'`);
+    }
+    let idx = 0;
+    const peek = () => tokens[idx];
+    const expect = token => {
+        if( tokens[idx++] !== token ) {
+            throw new Error(`Bad type '${expr}' for property '${name}'`);
+        }
+    };
+    // union := postfix ( '|' postfix )*
+    const union = () => {
+        let tests = [ postfix() ];
+        while( peek() === '|' ) {
+            idx++;
+            tests.push( postfix() );
+        }
+        return tests.length == 1 ? tests[0] : value => tests.some( test => test( value ) );
+    };
+    // postfix := primary ( '[]' )*
+    const postfix = () => {
+        let test = primary();
+        while( peek() === '[]' ) {
+            idx++;
+            test = arrayTest( test );
+        }
+        return test;
+    };
+    // primary := literal | name | 'function(' number ')' | '(' union ')'
+    const primary = () => {
+        let token = tokens[idx++];
+        if( token === undefined ) {
+            throw new Error(`Bad type '${expr}' for property '${name}'`);
+        }
+        if( token === '(' ) {
+            let test = union();
+            expect(')');
+            return test;
+        }
+        if( token[0] === "'" || token[0] === '"' ) {
+            let literal = token.slice( 1, -1 );
+            return value => value === literal;
+        }
+        if( /^-?\d/.test( token ) ) {
+            let literal = Number( token );
+            return value => value === literal;
+        }
+        if( token === 'true' || token === 'false' || token === 'null' ) {
+            let literal = JSON.parse( token );
+            return value => value === literal;
+        }
+        if( token === 'function' && peek() === '(' ) {
+            idx++;
+            let arity = Number( tokens[idx++] );
+            expect(')');
+            if( !Number.isInteger( arity ) || arity < 0 ) {
+                throw new Error(`Bad type '${expr}' for property '${name}'`);
+            }
+            return value => typeof value === 'function' && value.length === arity;
+        }
+        let test = Tests[token];
+        // Make sure we have a test.
+        if( test === undefined ) {
+            throw new Error(`Unsupported type '${token}' for property '${name}'`);
+        }
+        return test;
+    };
+    let test = union();
+    let optional = false;
+    if( peek() === '?' ) {
+        idx++;
+        optional = true;
+    }
+    if( idx < tokens.length ) {
+        throw new Error(`Bad type '${expr}' for property '${name}'`);
+    }
+    return new TypeTest( test, source, optional );
+}
+
+/// Make a test for an array whose items all pass a test.
+function arrayTest( test ) {
+    return value => Array.isArray( value ) && value.every( item => test( item ) );
+}
+
+/**
+ * Make a type for values which are instances of a class.
+ * @param type  A class or constructor function.
+ */
+function instanceOf( type ) {
+    if( typeof type !== 'function' ) {
+        throw new TypeError('instanceOf() requires a class');
+    }
+    return new TypeTest( value => value instanceof type, `instanceof ${type.name}`);
+}
+
+/**
+ * Make a type for values passing a custom test.
+ * @param test          A function returning true for values of the type.
+ * @param description   (Optional) a description of the type.
+ */
+function predicate( test, description ) {
+    if( typeof test !== 'function' ) {
+        throw new TypeError('predicate() requires a function');
+    }
+    return new TypeTest( value => !!test( value ), description || test.name || 'predicate');
+}
+
+/**
+ * Make a type for optional properties; i.e. properties which are either
+ * undefined, or of the specified type.
+ * @param type  A type; see compile().
+ */
+function optional( type ) {
+    const { test, description, nested } = typeTest( type, 'optional');
+    return new TypeTest( test, `${description}?`, true, nested );
+}
+
+/**
+ * Make a type for arrays of values of the specified type.
+ * @param type  A type; see compile().
+ */
+function arrayOf( type ) {
+    const { test, description } = typeTest( type, 'arrayOf');
+    return new TypeTest( arrayTest( test ), `(${description})[]`);
+}
+
+/**
+ * Describe the type of a value, for reporting interface mismatches.
+ */
+function describeValue( value ) {
+    if( value === null ) {
+        return 'null';
+    }
+    if( Array.isArray( value ) ) {
+        return 'array';
+    }
+    switch( typeof value ) {
+    case 'function':
+        if( Tests.asyncfunction( value ) ) {
+            return 'asyncfunction';
+        }
+        return `function(${value.length})`;
+    case 'object': {
+        if( Tests.promise( value ) ) {
+            return 'promise';
+        }
+        let proto = Object.getPrototypeOf( value );
+        let className = proto && proto.constructor && proto.constructor.name;
+        return className && className !== 'Object' ? `object (${className})` : 'object';
+    }
+    case 'string':
+    case 'number':
+    case 'boolean':
+        return `${typeof value} ${JSON.stringify( value )}`;
+    default:
+        return typeof value;
+    }
+}
+
+/**
+ * Explain why an object doesn't conform to an interface definition.
+ * @param ifdef An interface definition, or a compiled interface definition.
+ * @param obj   The object to test.
+ * @param path  (Optional) the path of the object within an enclosing object.
+ * @return A list of the object's mismatching properties; each item has the
+ * property path (e.g. 'db.query' for a nested definition), a description of
+ * the expected type and a description of the actual value. The list is
+ * empty if the object conforms to the interface.
+ */
+function explain( ifdef, obj, path = '') {
+    const iftest = compile( ifdef );
+    if( obj === undefined || obj === null ) {
+        return [{ path, expected: 'object', actual: describeValue( obj ) }];
+    }
+    return iftest.__properties.reduce( ( mismatches, { name, type }) => {
+        let value = obj[name];
+        let propertyPath = path ? `${path}.${name}` : name;
+        if( type.optional && value === undefined ) {
+            return mismatches;
+        }
+        if( type.nested && value !== undefined && value !== null ) {
+            return mismatches.concat( explain( type.nested, value, propertyPath ) );
+        }
+        if( !type.test( value ) ) {
+            mismatches.push({ path: propertyPath, expected: type.description, actual: describeValue( value ) });
+        }
+        return mismatches;
+    }, []);
 }
 
 exports.compile = compile;
+exports.explain = explain;
+exports.instanceOf = instanceOf;
+exports.predicate = predicate;
+exports.optional = optional;
+exports.arrayOf = arrayOf;
+exports.TypeTest = TypeTest;
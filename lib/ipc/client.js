@@ -16,24 +16,37 @@
 
 const { EventEmitter } = require('events');
 const IPC = require('./ipc');
+const { makeLogger } = require('../logger');
 
 // Standard timeout for message responses.
 const MessageTimeout = 1000 * 60 * 5;
 
+// Default timeout for health check responses.
+const HealthTimeout = 1000 * 5;
+
 /// IPC client wrapper.
 class Client extends EventEmitter {
 
     /**
      * Create a new IPC client for connecting to the server of the specified ID.
+     * @param clientID  The client's IPC id.
+     * @param serverID  The server's IPC id.
+     * @param logger    (Optional) a logger or logging function.
+     * @param appspace  (Optional) the IPC appspace.
      */
     constructor( clientID, serverID, logger, appspace ) {
         super();
-        this._ipc = IPC.make( clientID, logger, appspace );
+        this._logger = makeLogger( logger ).child({ ipc: clientID });
+        this._ipc = IPC.make( clientID, this._logger, appspace );
         this._clientID = clientID;
         this._serverID = serverID;
         this._connected = false;
         this._events = [];
         this._messages = [];
+        // A map of pending message promises and timeout timers, keyed by message ID.
+        this._pendings = {};
+        // A function for sending requests to the server; set once connected.
+        this._send = undefined;
     }
 
     /**
@@ -78,8 +91,16 @@ class Client extends EventEmitter {
             const server = ipc.of[self._serverID];
 
             // Handle connection & disconnection events.
-            server.on('connect',    () => self._connected = true );
-            server.on('disconnect', () => self._connected = false );
+            server.on('connect', () => {
+                self._connected = true;
+                self._logger.info(`Connected to ${self._serverID}`, { server: self._serverID });
+            });
+            server.on('disconnect', () => {
+                if( self._connected ) {
+                    self._logger.warn(`Disconnected from ${self._serverID}`, { server: self._serverID });
+                }
+                self._connected = false;
+            });
 
             // Plumbing for server events - emit as local events from this object.
             self._events.forEach( eid => {
@@ -95,7 +116,7 @@ class Client extends EventEmitter {
             let midx = 0;
 
             // Maps of pending message promises and timeout timers.
-            const pendings = {};
+            const pendings = self._pendings;
 
             // Clear a pending message promise.
             function clear( id ) {
@@ -127,25 +148,37 @@ class Client extends EventEmitter {
                 reject( message );
             }
 
+            // Send a request event to the server, and return a promise
+            // resolving to the server's response.
+            function send( eventName, name, args, timeout ) {
+                const id = `${name}.${midx++}`;
+                server.emit( eventName, { id, args });
+                // Create a promise to wait for the result.
+                return new Promise( ( resolve, reject ) => {
+                    // Create a request timeout.
+                    const timerID = setTimeout( () => {
+                        clear( id );
+                        const message = 'IPC message dispatch timeout';
+                        self._logger.warn( message, { server: self._serverID, messageID: id });
+                        reject({ id, message });
+                    }, timeout );
+                    // Register the promise.
+                    pendings[id] = { resolve, reject, timerID };
+                });
+            }
+            self._send = send;
+
+            // Register event handler for handling health check responses.
+            server.on('health', resolve );
+
             // Plumbing for server messages. Create methods on this object named
             // after the message name, and which emit events to the server.
             self._messages.forEach( name => {
                 const mid = `message.${name}`;
                 // Bind a method to send the message to the server.
                 self[name] = function() {
-                    const id = `${name}.${midx++}`;
                     const args = Array.from( arguments );
-                    server.emit( mid, { id, args });
-                    // Create a promise to wait for the result.
-                    return new Promise( ( resolve, reject ) => {
-                        // Create a request timeout.
-                        const timerID = setTimeout( () => {
-                            const message = 'IPC message dispatch timeout';
-                            reject({ id, message });
-                        }, MessageTimeout );
-                        // Register the promise.
-                        pendings[id] = { resolve, reject, timerID };
-                    });
+                    return send( mid, name, args, MessageTimeout );
                 };
                 // Register event handler for handling message responses.
                 server.on( mid, resolve );
@@ -156,11 +189,43 @@ class Client extends EventEmitter {
         });
     }
 
+    /**
+     * Check the health of the server.
+     * The request is forwarded to the server, which responds with the result
+     * of its own health() method (or an 'ok' status if it has no health()
+     * method).
+     * @param timeout   The time, in ms, to wait for the server to respond.
+     * @return A promise resolving to the server's health status.
+     */
+    health( timeout = HealthTimeout ) {
+        if( !this._connected || !this._send ) {
+            return Promise.resolve({ status: 'failed', message: 'IPC client not connected' });
+        }
+        return this._send('health', 'health', [], timeout );
+    }
+
     /**
      * Disconnect the client.
+     * Any messages still waiting for a response are rejected.
      */
     disconnect() {
         this._ipc.disconnect( this._serverID );
+        this._connected = false;
+        this._logger.info(`Disconnected from ${this._serverID}`, { server: this._serverID });
+        const pendings = this._pendings;
+        for( let id in pendings ) {
+            let { reject, timerID } = pendings[id];
+            delete pendings[id];
+            clearTimeout( timerID );
+            reject({ id, message: 'IPC client disconnected' });
+        }
+    }
+
+    /**
+     * Stop the client. Called by the backbone when it is stopped.
+     */
+    stop() {
+        this.disconnect();
     }
 
 }
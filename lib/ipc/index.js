@@ -53,7 +53,7 @@
 
 const Client = require('./client');
 const Server = require('./server');
-const { readArgNames, ArgListToken } = require('../app');
+const { readParams, ArgListToken, IPCModeToken, IPCServiceToken } = require('../app');
 
 /**
  * An IPC capable service.
@@ -75,7 +75,8 @@ class IPCService {
     /**
      * Construct a new service.
      * @param id        A unique identifier for the service.
-     * @param logger    (Optional) a logger function.
+     * @param logger    (Optional) a logger or logging function; defaults to
+     *                  the logger of the backbone the service is started on.
      * @param appspace  (Optional) an identifier for the app in which the
      *                  service runs; only needed when it is possible for
      *                  different instances of the same service to run
@@ -147,11 +148,11 @@ class IPCService {
                 // will refer to the app backbone when invoked by the backbone.
                 const clientID = self._id+'-client';
                 const serverID = self._id+'-server';
-                const client = new Client( clientID, serverID, self._logger, self._appspace );
+                const client = new Client( clientID, serverID, self._getLogger( this ), self._appspace );
                 // Assign backbone to 'app' property of client.
                 client.app = this;
                 // Invoke client init function, passing dependencies as arguments..
-                await self._initClient.apply( client, arguments );
+                await self._init( this, 'client', self._initClient, client, arguments );
                 client.events = self._events;
                 client.messages = Object.keys( self._messages );
                 client.methods = self._methods;
@@ -160,7 +161,9 @@ class IPCService {
             }
             return self._client;
         }
-        make[ArgListToken] = readArgNames('_initClient', this._initClient );
+        make[ArgListToken] = readParams('_initClient', this._initClient );
+        make[IPCModeToken] = 'client';
+        make[IPCServiceToken] = this;
         return make;
     }
 
@@ -177,11 +180,13 @@ class IPCService {
                 // Note that 'self' refers to the IPCService instance, whilst 'this'
                 // will refer to the app backbone when invoked by the backbone.
                 const serverID = self._id+'-server';
-                self._server = await self._makeServer('remote', serverID, this, arguments );
+                self._server = await self._makeServer('remote', 'server', serverID, this, arguments );
             }
             return self._server;
         }
-        make[ArgListToken] = readArgNames('_initServer', this._initServer );
+        make[ArgListToken] = readParams('_initServer', this._initServer );
+        make[IPCModeToken] = 'server';
+        make[IPCServiceToken] = this;
         return make;
     }
 
@@ -197,20 +202,54 @@ class IPCService {
             if( !self._service ) {
                 // Note that 'self' refers to the IPCService instance, whilst 'this'
                 // will refer to the app backbone when invoked by the backbone.
-                self._service = await self._makeServer('local', self._id, this, arguments );
+                self._service = await self._makeServer('local', 'service', self._id, this, arguments );
             }
             return self._service;
         }
-        make[ArgListToken] = readArgNames('_initServer',  this._initServer );
+        make[ArgListToken] = readParams('_initServer',  this._initServer );
+        make[IPCModeToken] = 'service';
+        make[IPCServiceToken] = this;
         return make;
     }
 
-    async _makeServer( mode, id, app, args ) {
-        const server = new Server( id, this._logger, this._appspace );
+    /**
+     * Get the logger used by the service's client or server.
+     * @param app   The backbone the service is being started on.
+     */
+    _getLogger( app ) {
+        return this._logger || (app && app.logger);
+    }
+
+    /**
+     * Invoke a client or server init function, recording its duration in the
+     * backbone's startup profile.
+     * Note that this must be called synchronously from the function returned
+     * by the client, server or service property, whilst the name of the
+     * service being instantiated is still available from the backbone.
+     * @param app       The backbone the service is being started on.
+     * @param mode      The IPC mode; 'client', 'server' or 'service'.
+     * @param init      The init function.
+     * @param target    The client or server being initialized.
+     * @param args      The init function arguments.
+     */
+    async _init( app, mode, init, target, args ) {
+        const profiler = app && app._profiler;
+        const name = app && app._requester;
+        if( profiler ) {
+            profiler.startInit( name, mode );
+        }
+        await init.apply( target, args );
+        if( profiler ) {
+            profiler.endInit( name );
+        }
+    }
+
+    async _makeServer( mode, ipcMode, id, app, args ) {
+        const server = new Server( id, this._getLogger( app ), this._appspace );
         // Assign backbone to 'app' property of server.
         server.app = app;
         // Invoke server init function, passing dependencies as arguments.
-        await this._initServer.apply( server, args );
+        await this._init( app, ipcMode, this._initServer, server, args );
         server.events = this._events;
         server.messages = this._messages;
         server.methods = this._methods;
@@ -15,19 +15,32 @@
  */
 
 const IPC = require('node-ipc').IPC;
+const { makeLogger, NodeIPCSource } = require('../logger');
 
-const DefaultLogger = function() {
-    console.log.apply( console.log, arguments );
-}
+// The default appspace of IPC services.
+const DefaultAppspace = 'understruct-';
+
+// The directory IPC sockets are created in.
+const SocketRoot = new IPC().config.socketRoot;
 
-// Create an IPC instance using standard system config.
-function make( id, logger = DefaultLogger, appspace = 'understruct-' ) {
+/**
+ * Create an IPC instance using standard system config.
+ * node-ipc's own log output is written to the logger at debug level, with a
+ * source field of 'node-ipc'.
+ * @param id        The IPC id.
+ * @param logger    (Optional) a logger.
+ * @param appspace  (Optional) the IPC appspace.
+ */
+function make( id, logger = makeLogger(), appspace = DefaultAppspace ) {
     let ipc = new IPC();
     ipc.config.id = id;
     ipc.config.appspace = appspace;
     ipc.config.retry = 1000;
-    ipc.config.logger = logger;
+    ipc.config.logInColor = false;
+    ipc.config.logger = message => logger.debug( message, { ipc: id, source: NodeIPCSource });
     return ipc;
 }
 
+exports.DefaultAppspace = DefaultAppspace;
+exports.SocketRoot = SocketRoot;
 exports.make = make;
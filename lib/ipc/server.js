@@ -16,19 +16,27 @@
 
 const { EventEmitter } = require('events');
 const IPC = require('./ipc');
+const { makeLogger } = require('../logger');
 
 /// IPC server wrapper.
 class Server extends EventEmitter {
 
     /**
      * Create a new IPC server with the specified ID.
+     * @param serverID  The server's IPC id.
+     * @param logger    (Optional) a logger or logging function.
+     * @param appspace  (Optional) the IPC appspace.
      */
     constructor( serverID, logger, appspace ) {
         super();
-        this._ipc = IPC.make( serverID, logger, appspace );
+        this._logger = makeLogger( logger ).child({ ipc: serverID });
+        this._ipc = IPC.make( serverID, this._logger, appspace );
         this._serverID = serverID;
         this._events = [];
         this._messages = {};
+        this._mode = undefined;
+        // A promise resolving once the server socket is listening.
+        this._listening = undefined;
     }
 
     /**
@@ -71,6 +79,8 @@ class Server extends EventEmitter {
             throw new Error(`Illegal start mode: ${mode}`);
         }
 
+        this._mode = mode;
+
         if( mode == 'local' ) {
             // In local mode, just copy the server message handlers to be
             // direct methods of the server object.
@@ -97,6 +107,21 @@ class Server extends EventEmitter {
                 });
             });
 
+            // Respond to health checks from clients.
+            ipc.server.on('health', async ( data, socket ) => {
+                let { id } = data;
+                let message;
+                try {
+                    message = typeof self.health === 'function'
+                        ? await self.health()
+                        : { status: 'ok' };
+                }
+                catch( err ) {
+                    message = { status: 'failed', message: err.message || err.toString() };
+                }
+                ipc.server.emit( socket, 'health', { id, message });
+            });
+
             // Handle messages received by the server.
             Object.keys( self._messages ).forEach( name => {
                 let handler = self._messages[name];
@@ -117,6 +142,7 @@ class Server extends EventEmitter {
                     catch( err ) {
                         // Send the handler error back to the client.
                         const message = err.description || err.message || err.toString();
+                        self._logger.warn(`Message ${name} failed: ${message}`, { messageID: id });
                         const data = { id, message };
                         ipc.server.emit( socket, `error.${name}`, data );
                     }
@@ -126,9 +152,32 @@ class Server extends EventEmitter {
             });
         });
 
+        this._listening = new Promise( resolve => ipc.server.on('start', resolve ) )
+            .then( () => self._logger.info(`Listening as ${self._serverID}`) );
+
         ipc.server.start();
     }
 
+    /**
+     * Stop the server. Called by the backbone when it is stopped.
+     * In remote mode, closes all client connections and the server socket.
+     * @return A promise resolving once the server socket is closed.
+     */
+    async stop() {
+        if( this._mode != 'remote' ) {
+            return;
+        }
+        this._mode = undefined;
+        await this._listening;
+        const { server } = this._ipc;
+        await new Promise( resolve => {
+            server.server.once('close', resolve );
+            // Client connections must be closed before the server will close.
+            server.sockets.forEach( socket => socket.destroy() );
+            server.stop();
+        });
+    }
+
 }
 
 module.exports = Server;
@@ -0,0 +1,131 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const { start, readDependencies, readConformingDependencies, readProvides, unwrapDefinition, Contribution } = require('./app');
+
+/**
+ * Infer a list of service layers from a flat map of service definitions.
+ * Each service's dependencies are read from its factory function's argument
+ * names, and each service is then placed in the lowest layer above all of
+ * the services it depends on. Services which aren't factory functions have
+ * no dependencies and are placed in the lowest layer. A dependency on a
+ * service collection is a dependency on every service contributing to the
+ * collection. A conforming dependency on a named interface is a dependency
+ * on every service whose definition declares that it provides the interface;
+ * other conforming-interface dependencies aren't taken into account.
+ * @param services  A map of service definitions, keyed by service name.
+ * @return A list of service layer definitions.
+ */
+function inferLayers( services ) {
+    if( typeof services !== 'object' || services === null || Array.isArray( services ) ) {
+        throw new TypeError('Services must be an object');
+    }
+    const names = Object.keys( services );
+    // The names of the services contributing to each collection, keyed by
+    // collection name.
+    const collections = {};
+    names.forEach( name => {
+        let def = services[name];
+        if( def instanceof Contribution ) {
+            if( services.hasOwnProperty( def.collection ) ) {
+                throw new Error(`Collection '${def.collection}' has the same name as a service`);
+            }
+            collections[def.collection] = (collections[def.collection] || []).concat( name );
+        }
+    });
+    // The names of the services declaring each named interface, keyed by
+    // interface name.
+    const providers = {};
+    names.forEach( name => {
+        readProvides( unwrapDefinition( services[name] ) ).forEach( ifname => {
+            providers[ifname] = (providers[ifname] || []).concat( name );
+        });
+    });
+    // Read the dependencies of each service.
+    const dependencies = {};
+    names.forEach( name => {
+        let def = unwrapDefinition( services[name] );
+        let deps = typeof def === 'function' ? readDependencies( name, def ) : [];
+        // Check that every required dependency is provided by the service
+        // map; optional dependencies on services not in the map are ignored.
+        dependencies[name] = deps
+            .filter( dep => {
+                if( services.hasOwnProperty( dep.service ) || collections.hasOwnProperty( dep.service ) ) {
+                    return true;
+                }
+                if( dep.optional ) {
+                    return false;
+                }
+                throw new Error(`Unresolved dependency: '${dep.service}' for '${name}'`);
+            })
+            .reduce( ( deps, dep ) => deps.concat( collections[dep.service] || dep.service ), []);
+        if( typeof def === 'function' ) {
+            readConformingDependencies( name, def )
+                .filter( dep => typeof dep.conforming === 'string' )
+                .forEach( dep => {
+                    let provided = (providers[dep.conforming] || []).filter( provider => provider !== name );
+                    dependencies[name] = dependencies[name].concat( provided );
+                });
+        }
+    });
+    // A map of layer indexes, keyed by service name.
+    const indexes = {};
+    // The path of services currently being visited; used to detect cycles.
+    const path = [];
+    // Calculate the layer index of a service.
+    function layerIndex( name ) {
+        let index = indexes[name];
+        if( index !== undefined ) {
+            return index;
+        }
+        let idx = path.indexOf( name );
+        if( idx > -1 ) {
+            let cycle = path.slice( idx ).concat( name );
+            throw new Error(`Dependency cycle: ${cycle.join(' -> ')}`);
+        }
+        path.push( name );
+        // A service's layer is one above the highest layer of its dependencies.
+        index = dependencies[name].reduce( ( index, dep ) => {
+            return Math.max( index, layerIndex( dep ) + 1 );
+        }, 0 );
+        path.pop();
+        indexes[name] = index;
+        return index;
+    }
+    // Build the list of layers.
+    const layers = [];
+    names.forEach( name => {
+        let index = layerIndex( name );
+        let layer = layers[index] || (layers[index] = {});
+        layer[name] = services[name];
+    });
+    return layers;
+}
+
+/**
+ * Start an app backbone from a flat map of service definitions.
+ * The services are organized into layers using inferLayers(), and the
+ * backbone is then started as normal.
+ * @param services  A map of service definitions, keyed by service name.
+ * @param options   Startup options; see start().
+ * @return An app backbone.
+ */
+async function autostart( services, options ) {
+    return start( inferLayers( services ), options );
+}
+
+exports.inferLayers = inferLayers;
+exports.autostart = autostart;
@@ -0,0 +1,142 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+// Log levels, in order of increasing severity.
+const Levels = ['debug','info','warn','error'];
+
+// The default minimum level of messages written by a logger.
+const DefaultLevel = 'info';
+
+// The source field of node-ipc's own log output.
+const NodeIPCSource = 'node-ipc';
+
+/**
+ * Format a log message and its fields as a single line of text.
+ * @param message   A log message.
+ * @param fields    An object of structured fields.
+ * @return The message followed by the fields, as key=value pairs.
+ */
+function format( message, fields ) {
+    let pairs = Object.keys( fields )
+        .filter( key => fields[key] !== undefined )
+        .map( key => `${key}=${fields[key]}` );
+    return pairs.length > 0 ? `${message} (${pairs.join(' ')})` : message;
+}
+
+/**
+ * A leveled logger.
+ * Each log method accepts a message and an optional object of structured
+ * fields (e.g. service name, layer index, IPC id) describing the context of
+ * the message. Fields bound to the logger using child() are added to all
+ * messages written by the logger.
+ */
+class Logger {
+
+    /**
+     * Create a new logger.
+     * @param write     A function for writing a log entry; called with the
+     *                  level, the message and the message fields.
+     * @param fields    Fields to add to every message written by the logger.
+     */
+    constructor( write, fields = {} ) {
+        this._write = write;
+        this._fields = fields;
+    }
+
+    debug( message, fields ) {
+        this._log('debug', message, fields );
+    }
+
+    info( message, fields ) {
+        this._log('info', message, fields );
+    }
+
+    warn( message, fields ) {
+        this._log('warn', message, fields );
+    }
+
+    error( message, fields ) {
+        this._log('error', message, fields );
+    }
+
+    _log( level, message, fields ) {
+        this._write( level, message, Object.assign( {}, this._fields, fields ) );
+    }
+
+    /**
+     * Create a child logger which adds the specified fields to all messages.
+     * @param fields    An object of structured fields.
+     * @return A new logger.
+     */
+    child( fields ) {
+        return new Logger( this._write, Object.assign( {}, this._fields, fields ) );
+    }
+}
+
+/**
+ * Make a logger.
+ * @param log       One of:
+ *                  - undefined: A logger which writes to the console.
+ *                  - A logging function: For backwards compatibility, the
+ *                    function is called with just the message of each entry
+ *                    at the minimum level or above, and of all node-ipc
+ *                    output whatever its level.
+ *                  - A logger object with debug, info, warn and error methods,
+ *                    each accepting a message and an object of fields; all
+ *                    entries are passed to the logger object, which is then
+ *                    responsible for filtering entries by level.
+ * @param level     The minimum level of entries written to the console or to a
+ *                  logging function; defaults to 'info'.
+ * @return A logger.
+ */
+function makeLogger( log, level = DefaultLevel ) {
+    if( log instanceof Logger ) {
+        return log;
+    }
+    let minLevel = Levels.indexOf( level );
+    if( minLevel < 0 ) {
+        throw new Error(`Invalid log level: ${level}`);
+    }
+    if( log === undefined ) {
+        return new Logger( ( level, message, fields ) => {
+            if( Levels.indexOf( level ) >= minLevel ) {
+                let method = level == 'debug' ? 'log' : level;
+                console[method]( format( message, fields ) );
+            }
+        });
+    }
+    if( typeof log === 'function' ) {
+        return new Logger( ( level, message, fields ) => {
+            if( Levels.indexOf( level ) >= minLevel || fields.source === NodeIPCSource ) {
+                log( message );
+            }
+        });
+    }
+    if( log !== null && typeof log === 'object' ) {
+        let missing = Levels.filter( level => typeof log[level] !== 'function' );
+        if( missing.length > 0 ) {
+            throw new Error(`Logger is missing methods: ${missing.join(', ')}`);
+        }
+        return new Logger( ( level, message, fields ) => log[level]( message, fields ) );
+    }
+    throw new TypeError('Logger must be a function or an object');
+}
+
+exports.Levels = Levels;
+exports.NodeIPCSource = NodeIPCSource;
+exports.Logger = Logger;
+exports.makeLogger = makeLogger;
+exports.format = format;
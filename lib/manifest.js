@@ -0,0 +1,247 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+/* Backbone manifests.
+ * A manifest describes a backbone's services declaratively, so that the same
+ * description can be used to start each of the processes making up an app.
+ * A manifest is an object (or a JSON file, or a JS module exporting an object)
+ * with the following properties:
+ * - layers: A list of service layers; each layer is a map of service
+ *   entries, keyed by service name.
+ * - services: Alternatively, a flat map of service entries, keyed by service
+ *   name; the service layers are inferred from the service dependencies.
+ * - roles: (Optional) a list of the roles the manifest can be started in.
+ * - options: (Optional) startup options; see start().
+ * Each service entry is one of:
+ * - A module path; the module's exports are the service definition.
+ * - A service descriptor object with the following properties:
+ *   - module: A module path, or (in a JS manifest) the module's exports.
+ *   - export: (Optional) the name of the module export which is the service
+ *     definition; defaults to the module's exports.
+ *   - mode: (Optional) for an IPCService, the mode to run the service in -
+ *     'client', 'server' or 'service' - or a map of modes keyed by role name,
+ *     where a '*' key gives the mode for any other role. Defaults to 'service'.
+ *   - roles: (Optional) a list of the roles which the service is started in;
+ *     by default, the service is started in all roles.
+ *   - lazy: (Optional) if true then the service is only instantiated when
+ *     first used; see lazy().
+ *   - contributes: (Optional) the name of a service collection the service
+ *     contributes to, with an optional 'priority'; see contributes().
+ * - In a JS manifest, any other value is used as the service definition.
+ * Relative module paths are resolved against the manifest's directory.
+ */
+
+const fs = require('fs');
+const Path = require('path');
+
+const { start, lazy, contributes } = require('./app');
+const { inferLayers } = require('./layers');
+const { IPCService } = require('./ipc');
+
+// The valid IPC service modes.
+const IPCModes = ['client','server','service'];
+
+// The default IPC service mode.
+const DefaultIPCMode = 'service';
+
+/**
+ * Read a manifest file.
+ * @param file  The path to a JSON file, or to a JS module exporting a manifest.
+ * @return The manifest.
+ */
+function readManifest( file ) {
+    file = Path.resolve( file );
+    let manifest;
+    if( Path.extname( file ) == '.json' ) {
+        try {
+            manifest = JSON.parse( fs.readFileSync( file, 'utf8') );
+        }
+        catch( e ) {
+            let err = new Error(`Reading manifest "${file}"`);
+            err.cause = e;
+            throw err;
+        }
+    }
+    else {
+        manifest = require( file );
+    }
+    if( typeof manifest !== 'object' || manifest === null || Array.isArray( manifest ) ) {
+        throw new Error(`Manifest must be an object: "${file}"`);
+    }
+    return manifest;
+}
+
+/**
+ * Test whether a service entry is a service descriptor.
+ */
+function isDescriptor( entry ) {
+    return typeof entry === 'object'
+        && entry !== null
+        && !(entry instanceof IPCService)
+        && entry.module !== undefined;
+}
+
+/**
+ * Load a module.
+ * @param path      A module path.
+ * @param basedir   The directory relative module paths are resolved against.
+ */
+function loadModule( path, basedir ) {
+    return require( require.resolve( path, { paths: [ basedir ] }) );
+}
+
+/**
+ * Read the IPC mode of a service for a role.
+ * @param name      The service name.
+ * @param mode      The service entry's mode property.
+ * @param role      The role name.
+ */
+function readMode( name, mode, role ) {
+    if( mode === undefined ) {
+        return DefaultIPCMode;
+    }
+    if( typeof mode === 'object' && mode !== null ) {
+        let roleMode = role !== undefined && mode.hasOwnProperty( role ) ? mode[role] : mode['*'];
+        if( roleMode === undefined ) {
+            throw new Error( role !== undefined
+                ? `No IPC mode for service '${name}' in role '${role}'`
+                : `No default IPC mode for service '${name}'`);
+        }
+        mode = roleMode;
+    }
+    if( !IPCModes.includes( mode ) ) {
+        throw new Error(`Invalid IPC mode for service '${name}': ${mode}`);
+    }
+    return mode;
+}
+
+/**
+ * Resolve a service entry to a service definition.
+ * @param name      The service name.
+ * @param entry     The service entry.
+ * @param role      The role name.
+ * @param basedir   The directory relative module paths are resolved against.
+ * @return The service definition; or undefined if the service isn't
+ * started in the role.
+ */
+function resolveService( name, entry, role, basedir ) {
+    let descriptor = isDescriptor( entry ) ? entry : { module: entry };
+    let { module, roles, mode } = descriptor;
+    if( roles !== undefined && role !== undefined && !roles.includes( role ) ) {
+        return undefined;
+    }
+    let def = module;
+    if( typeof module === 'string' ) {
+        try {
+            def = loadModule( module, basedir );
+        }
+        catch( e ) {
+            let err = new Error(`Loading module "${module}" for service '${name}'`);
+            err.cause = e;
+            throw err;
+        }
+    }
+    if( descriptor.export !== undefined ) {
+        if( def === null || def === undefined || !(descriptor.export in Object( def )) ) {
+            throw new Error(`Module "${module}" has no export '${descriptor.export}' for service '${name}'`);
+        }
+        def = def[descriptor.export];
+    }
+    if( def instanceof IPCService ) {
+        def = def[readMode( name, mode, role )];
+    }
+    else if( mode !== undefined ) {
+        throw new Error(`IPC mode specified for service '${name}', which isn't an IPCService`);
+    }
+    if( descriptor.lazy ) {
+        def = lazy( def );
+    }
+    if( descriptor.contributes !== undefined ) {
+        def = contributes( descriptor.contributes, def, { priority: descriptor.priority });
+    }
+    return def;
+}
+
+/**
+ * Resolve a map of service entries to a map of service definitions.
+ * Services not started in the role are omitted.
+ */
+function resolveServices( entries, role, basedir ) {
+    return Object.keys( entries ).reduce( ( services, name ) => {
+        let def = resolveService( name, entries[name], role, basedir );
+        if( def !== undefined ) {
+            services[name] = def;
+        }
+        return services;
+    }, {});
+}
+
+/**
+ * Resolve a manifest to a list of service layer definitions.
+ * @param manifest  A manifest.
+ * @param options   Options:
+ *                  - role: The role the backbone is being started in. If not
+ *                    specified then all services are included, and IPC
+ *                    services use the '*' mode of any per-role modes.
+ *                  - basedir: The directory relative module paths are
+ *                    resolved against; defaults to the current directory.
+ * @return A list of service layer definitions.
+ */
+function resolveManifest( manifest, options = {} ) {
+    const { role, basedir = process.cwd() } = options;
+    const { roles } = manifest;
+    if( role !== undefined && Array.isArray( roles ) && !roles.includes( role ) ) {
+        throw new Error(`Unknown role '${role}'; expected one of: ${roles.join(', ')}`);
+    }
+    if( Array.isArray( manifest.layers ) ) {
+        return manifest.layers
+            .map( layer => resolveServices( layer, role, basedir ) )
+            .filter( layer => Object.keys( layer ).length > 0 );
+    }
+    if( typeof manifest.services === 'object' && manifest.services !== null ) {
+        return inferLayers( resolveServices( manifest.services, role, basedir ) );
+    }
+    throw new Error("Manifest must have either a 'layers' list or a 'services' map");
+}
+
+/**
+ * Start an app backbone from a manifest.
+ * @param manifest  A manifest, or the path to a manifest file.
+ * @param options   Startup options; see start(). Also accepts the 'role' and
+ *                  'basedir' options of resolveManifest(); when a manifest
+ *                  file path is given, basedir defaults to the file's
+ *                  directory. Any options specified in the manifest are used
+ *                  as defaults.
+ * @return An app backbone.
+ */
+async function startManifest( manifest, options = {} ) {
+    options = Object.assign( {}, options );
+    if( typeof manifest === 'string' ) {
+        if( options.basedir === undefined ) {
+            options.basedir = Path.dirname( Path.resolve( manifest ) );
+        }
+        manifest = readManifest( manifest );
+    }
+    const layers = resolveManifest( manifest, options );
+    options = Object.assign( {}, manifest.options, options );
+    delete options.role;
+    delete options.basedir;
+    return start( layers, options );
+}
+
+exports.readManifest = readManifest;
+exports.resolveManifest = resolveManifest;
+exports.startManifest = startManifest;
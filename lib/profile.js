@@ -0,0 +1,234 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const fs = require('fs');
+
+/**
+ * Get the current time, in ms, as a high resolution value.
+ */
+function now() {
+    const [ s, ns ] = process.hrtime();
+    return s * 1e3 + ns / 1e6;
+}
+
+// Round a time, in ms, to microsecond precision.
+const round = ms => Math.round( ms * 1e3 ) / 1e3;
+
+/**
+ * A startup profiler.
+ * Records the wall-clock time taken to start each layer, to instantiate each
+ * service and to run each IPC service's initServer or initClient function.
+ */
+class Profiler {
+
+    constructor() {
+        // The time at which profiling started.
+        this._origin = now();
+        // The time at which startup completed.
+        this._end = undefined;
+        // Layer timings, in layer order.
+        this._layers = [];
+        // Service timings, keyed by service name.
+        this._services = {};
+    }
+
+    /**
+     * Record the start of a layer.
+     * @param layer     The layer index.
+     * @param names     The names of the services in the layer.
+     */
+    startLayer( layer, names ) {
+        this._layers[layer] = { layer, services: names, start: now() };
+    }
+
+    /**
+     * Record the end of a layer.
+     * @param layer     The layer index.
+     * @return The time taken, in ms, to start the layer.
+     */
+    endLayer( layer ) {
+        let timing = this._layers[layer];
+        timing.end = now();
+        return timing.end - timing.start;
+    }
+
+    /**
+     * Record the start of a service's instantiation.
+     * @param name      The service name.
+     * @param layer     The index of the layer containing the service.
+     * @param lazy      (Optional) true if the service is a lazy service being
+     *                  instantiated on first use.
+     */
+    startService( name, layer, lazy = false ) {
+        this._services[name] = { name, layer, lazy, start: now() };
+    }
+
+    /**
+     * Record the end of a service's instantiation.
+     * @param name      The service name.
+     * @return The time taken, in ms, to instantiate the service.
+     */
+    endService( name ) {
+        let timing = this._services[name];
+        timing.end = now();
+        return timing.end - timing.start;
+    }
+
+    /**
+     * Record the start of an IPC service's init function.
+     * @param name      The name of the service being instantiated.
+     * @param mode      The IPC mode; 'client', 'server' or 'service'.
+     */
+    startInit( name, mode ) {
+        let timing = this._services[name];
+        if( timing ) {
+            timing.init = { mode, start: now() };
+        }
+    }
+
+    /**
+     * Record the end of an IPC service's init function.
+     * @param name      The name of the service being instantiated.
+     */
+    endInit( name ) {
+        let timing = this._services[name];
+        if( timing && timing.init ) {
+            timing.init.end = now();
+        }
+    }
+
+    /**
+     * Record the completion of startup.
+     */
+    end() {
+        this._end = now();
+    }
+
+    /**
+     * Generate a profiling report.
+     * All times in the report are in ms; start times are relative to the
+     * start of profiling.
+     * @return A report with the following properties:
+     *         - duration: The total startup time.
+     *         - layers: A list of layer timings; each with the layer index,
+     *           its service names, start time and duration, and the name of
+     *           the slowest service in the layer.
+     *         - services: A list of service timings, slowest first; each with
+     *           the service name, layer index, start time and duration, and
+     *           the start time, duration and IPC mode of any init function.
+     *           Lazy services instantiated on first use are flagged as lazy.
+     *         - criticalPath: The services which determined the startup time;
+     *           i.e. the slowest service in each layer (as each layer waits
+     *           for all of its services to be instantiated), with the total of
+     *           their durations. Lazy services don't contribute to startup
+     *           time, and so are excluded.
+     */
+    report() {
+        const origin = this._origin;
+        const timing = ({ start, end }) => {
+            return { start: round( start - origin ), duration: round( end - start ) };
+        };
+        const services = Object.keys( this._services )
+            .map( name => this._services[name] )
+            .filter( service => service.end !== undefined )
+            .map( service => {
+                let { name, layer, lazy, init } = service;
+                let result = Object.assign({ name, layer }, timing( service ) );
+                if( lazy ) {
+                    result.lazy = true;
+                }
+                if( init && init.end !== undefined ) {
+                    result.init = Object.assign({ mode: init.mode }, timing( init ) );
+                }
+                return result;
+            })
+            .sort( ( s1, s2 ) => s2.duration - s1.duration );
+        const layers = this._layers
+            .filter( layer => layer.end !== undefined )
+            .map( layer => {
+                // Note that services are sorted slowest first.
+                let slowest = services.find( service => service.layer === layer.layer && !service.lazy );
+                return Object.assign({
+                    layer:      layer.layer,
+                    services:   layer.services,
+                    slowest:    slowest && slowest.name
+                }, timing( layer ) );
+            });
+        const path = layers
+            .filter( layer => layer.slowest !== undefined )
+            .map( layer => services.find( service => service.name === layer.slowest ) );
+        const criticalPath = {
+            services:   path.map( service => service.name ),
+            duration:   round( path.reduce( ( total, service ) => total + service.duration, 0 ) )
+        };
+        const end = this._end !== undefined ? this._end : now();
+        return { duration: round( end - origin ), layers, services, criticalPath };
+    }
+}
+
+/**
+ * Convert a profiling report to Chrome trace event format.
+ * The result can be loaded into Chrome's about:tracing page or other tools
+ * which support the format. Layers are shown on the first thread, and each
+ * service on a thread of its own (as services within a layer are
+ * instantiated in parallel), with any IPC init function nested within the
+ * service's instantiation.
+ * @param report    A profiling report.
+ * @param pid       (Optional) the process ID to report events under.
+ * @return An object with a 'traceEvents' list.
+ */
+function toTraceEvents( report, pid = process.pid ) {
+    // Note that trace event times are in microseconds.
+    const us = ms => Math.round( ms * 1e3 );
+    const events = [];
+    const thread = ( tid, name ) => {
+        events.push({ name: 'thread_name', ph: 'M', pid, tid, args: { name } });
+    };
+    thread( 0, 'Layers');
+    report.layers.forEach( ({ layer, start, duration }) => {
+        events.push({ name: `Layer ${layer}`, cat: 'layer', ph: 'X', pid, tid: 0, ts: us( start ), dur: us( duration ) });
+    });
+    // List services in start order.
+    const services = report.services.slice().sort( ( s1, s2 ) => s1.start - s2.start );
+    services.forEach( ({ name, layer, start, duration, init }, idx ) => {
+        const tid = idx + 1;
+        thread( tid, `[${layer}] ${name}`);
+        events.push({ name, cat: 'service', ph: 'X', pid, tid, ts: us( start ), dur: us( duration ), args: { layer } });
+        if( init ) {
+            let { mode, start, duration } = init;
+            let initName = mode == 'client' ? 'initClient' : 'initServer';
+            events.push({ name: `${name}.${initName}`, cat: 'init', ph: 'X', pid, tid, ts: us( start ), dur: us( duration ), args: { mode } });
+        }
+    });
+    return { traceEvents: events };
+}
+
+/**
+ * Write a profiling report to a file in Chrome trace event format.
+ * @param file      The path of the file to write.
+ * @param report    A profiling report.
+ * @return A promise resolving once the file is written.
+ */
+function writeTrace( file, report ) {
+    const json = JSON.stringify( toTraceEvents( report ) );
+    return new Promise( ( resolve, reject ) => {
+        fs.writeFile( file, json, err => err ? reject( err ) : resolve() );
+    });
+}
+
+exports.Profiler = Profiler;
+exports.toTraceEvents = toTraceEvents;
+exports.writeTrace = writeTrace;
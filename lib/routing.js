@@ -0,0 +1,133 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const { EventEmitter } = require('events');
+
+// The event routers installed on services, keyed by service.
+const Routers = new WeakMap();
+
+/**
+ * Parse a wildcard event pattern.
+ * Patterns have the following forms:
+ * - 'service:*': All events emitted by the named service.
+ * - '*:event': The named event, emitted by any service.
+ * - '*:*' or '**': All events emitted by any service.
+ * @param eventName An event name.
+ * @return An object with 'source' and 'event' properties, either of which
+ * may be '*'; or undefined if the event name isn't a wildcard pattern.
+ */
+function parsePattern( eventName ) {
+    if( typeof eventName !== 'string' ) {
+        return undefined;
+    }
+    if( eventName === '**' ) {
+        return { source: '*', event: '*' };
+    }
+    let idx = eventName.indexOf(':');
+    if( idx < 1 ) {
+        return undefined;
+    }
+    let source = eventName.substring( 0, idx );
+    let event = eventName.substring( idx + 1 );
+    if( source === '*' || event === '*' ) {
+        return { source, event };
+    }
+    return undefined;
+}
+
+/**
+ * Test whether a parsed pattern matches an event emitted by a service.
+ * @param pattern   A parsed pattern; see parsePattern().
+ * @param source    The name of the service emitting the event.
+ * @param event     The event name.
+ */
+function matches( pattern, source, event ) {
+    return (pattern.source === '*' || pattern.source === source)
+        && (pattern.event === '*' || pattern.event === event);
+}
+
+/**
+ * Add a route for the events emitted by a service.
+ * The service's emit method is replaced with a function which emits the
+ * event as normal, and then passes the event to each of the service's
+ * routes. 'error' events are an exception: if the service has no 'error'
+ * listeners, but a route handles the event, then the event isn't emitted
+ * (which would otherwise throw the error).
+ * @param service   An EventEmitter.
+ * @param route     A function called with the event name and a list of the
+ *                  event arguments; returns true if the event was handled.
+ */
+function addRoute( service, route ) {
+    let router = Routers.get( service );
+    if( !router ) {
+        // Note whether the service's emit method is its own property or
+        // inherited, so that it can be restored. The property descriptor is
+        // read, rather than the property, because an intercepted service's
+        // proxy returns its methods wrapped.
+        const descriptor = Object.getOwnPropertyDescriptor( service, 'emit');
+        const own = descriptor !== undefined;
+        const emit = own ? descriptor.value : service.emit;
+        const routes = new Set();
+        const dispatch = ( event, args ) => {
+            return Array.from( routes ).reduce( ( handled, route ) => route( event, args ) || handled, false );
+        };
+        const routedEmit = function( event, ...args ) {
+            if( event === 'error' && EventEmitter.listenerCount( this, 'error') == 0 ) {
+                return dispatch( event, args ) || emit.apply( this, arguments );
+            }
+            const result = emit.apply( this, arguments );
+            return dispatch( event, args ) || result;
+        };
+        router = { emit, own, routedEmit, routes };
+        Routers.set( service, router );
+        service.emit = routedEmit;
+    }
+    router.routes.add( route );
+}
+
+/**
+ * Remove a route for the events emitted by a service.
+ * The service's original emit method is restored once its last route is
+ * removed.
+ * @param service   An EventEmitter.
+ * @param route     A route function previously passed to addRoute().
+ */
+function removeRoute( service, route ) {
+    const router = Routers.get( service );
+    if( !router ) {
+        return;
+    }
+    router.routes.delete( route );
+    if( router.routes.size == 0 ) {
+        Routers.delete( service );
+        // Leave the emit method alone if it has since been replaced.
+        const descriptor = Object.getOwnPropertyDescriptor( service, 'emit');
+        if( !descriptor || descriptor.value !== router.routedEmit ) {
+            return;
+        }
+        if( router.own ) {
+            service.emit = router.emit;
+        }
+        else {
+            delete service.emit;
+        }
+    }
+}
+
+exports.parsePattern = parsePattern;
+exports.matches = matches;
+exports.addRoute = addRoute;
+exports.removeRoute = removeRoute;
@@ -0,0 +1,211 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+/* Support for testing services and backbones.
+ * Provides a test harness which starts a backbone with selected services
+ * replaced by stubs, and with IPC services replaced by in-memory fakes, and
+ * which records all method calls made on the backbone's services.
+ */
+
+const { EventEmitter } = require('events');
+
+const { start, IPCServiceToken } = require('./app');
+const { IPCService } = require('./ipc');
+
+// The harnesses which haven't yet been torn down.
+const harnesses = new Set();
+
+/**
+ * Make an in-memory fake of an IPC service.
+ * The fake is an EventEmitter with a method for each of the service's
+ * messages, which returns a promise resolving to the result of the
+ * corresponding stub function, or to undefined if no stub is provided. The
+ * service's methods are bound to the fake as-is, as they always run locally.
+ * The fake's events can be raised by calling its emit() method.
+ * @param service   An IPCService.
+ * @param stubs     (Optional) a map of message stub functions, keyed by
+ *                  message name. Each function is called with the fake as
+ *                  its 'this' argument.
+ * @return A fake service.
+ */
+function fakeIPCService( service, stubs = {} ) {
+    if( !(service instanceof IPCService) ) {
+        throw new TypeError('Service must be an IPCService');
+    }
+    const fake = new EventEmitter();
+    const messages = Object.keys( service.messages );
+    Object.keys( stubs ).forEach( name => {
+        if( !messages.includes( name ) ) {
+            throw new Error(`Stub for unknown message '${name}' of IPC service '${service._id}'`);
+        }
+    });
+    fake.events = service.events.slice();
+    messages.forEach( name => {
+        const stub = stubs[name];
+        fake[name] = async function( ...args ) {
+            return stub ? stub.apply( fake, args ) : undefined;
+        };
+    });
+    const { methods } = service;
+    for( let name in methods ) {
+        fake[name] = methods[name];
+    }
+    return fake;
+}
+
+/**
+ * A test harness.
+ * Wraps a backbone started by startHarness(), and records the method calls
+ * made on its services.
+ */
+class Harness {
+
+    constructor( app, calls ) {
+        this.app = app;
+        this._calls = calls;
+    }
+
+    /**
+     * The backbone's services.
+     */
+    get services() {
+        return this.app.services;
+    }
+
+    /**
+     * List the recorded method calls.
+     * Each call is recorded as an object with the service name, method name
+     * and call arguments, and either the call result or error once the call
+     * completes.
+     * @param service   (Optional) a service name to filter calls by.
+     * @param method    (Optional) a method name to filter calls by.
+     * @return A list of calls, in the order made.
+     */
+    calls( service, method ) {
+        return this._calls.filter( call => {
+            return (service === undefined || call.service === service)
+                && (method === undefined || call.method === method);
+        });
+    }
+
+    /**
+     * Clear the recorded method calls.
+     */
+    reset() {
+        this._calls.length = 0;
+    }
+
+    /**
+     * Stop the harness's backbone.
+     * @return A promise resolving once the backbone has stopped.
+     */
+    async teardown() {
+        harnesses.delete( this );
+        await this.app.stop();
+    }
+}
+
+/**
+ * Start a backbone for testing.
+ * @param layers    A list of service layer definitions.
+ * @param options   Startup options; see start(). The log option defaults to
+ *                  a function which discards all messages. Also accepts:
+ *                  - overrides: A map of service definitions, keyed by
+ *                    service name, replacing the named services' definitions.
+ *                  - fakes: Controls which IPC services are replaced by
+ *                    in-memory fakes; see fakeIPCService(). One of true (the
+ *                    default) to fake all IPC services, false to fake none,
+ *                    a list of the names of the services to fake, or a map of
+ *                    message stubs keyed by the names of the services to fake.
+ * @return A promise resolving to a test harness.
+ */
+async function startHarness( layers, options = {} ) {
+    const { overrides = {}, fakes = true } = options;
+    // Check that each overridden or faked service is defined in a layer.
+    const names = layers.reduce( ( names, layer ) => names.concat( Object.keys( layer ) ), [] );
+    const check = ( list, description ) => list.forEach( name => {
+        if( !names.includes( name ) ) {
+            throw new Error(`${description} for unknown service '${name}'`);
+        }
+    });
+    check( Object.keys( overrides ), 'Override');
+    if( Array.isArray( fakes ) ) {
+        check( fakes, 'Fake');
+    }
+    else if( typeof fakes === 'object' ) {
+        check( Object.keys( fakes ), 'Fake');
+    }
+    // Test whether a service should be faked, and read its message stubs.
+    const fakeOf = name => {
+        if( fakes === true ) {
+            return {};
+        }
+        if( Array.isArray( fakes ) ) {
+            return fakes.includes( name ) ? {} : undefined;
+        }
+        if( fakes && typeof fakes === 'object' ) {
+            return fakes[name];
+        }
+        return undefined;
+    };
+    // Replace overridden and faked service definitions.
+    layers = layers.map( layer => {
+        return Object.keys( layer ).reduce( ( result, name ) => {
+            let def = layer[name];
+            if( overrides.hasOwnProperty( name ) ) {
+                def = overrides[name];
+            }
+            else if( typeof def === 'function' && def[IPCServiceToken] ) {
+                let stubs = fakeOf( name );
+                if( stubs !== undefined ) {
+                    def = fakeIPCService( def[IPCServiceToken], stubs );
+                }
+            }
+            result[name] = def;
+            return result;
+        }, {});
+    });
+    // Record method calls on all services; note that an empty interface
+    // definition matches every service.
+    const calls = [];
+    const recorder = {
+        target: {},
+        before: call => { calls.push( call ) }
+    };
+    const startOptions = Object.assign({ log: () => {} }, options, {
+        interceptors: [ recorder ].concat( options.interceptors || [] )
+    });
+    delete startOptions.overrides;
+    delete startOptions.fakes;
+    const app = await start( layers, startOptions );
+    const harness = new Harness( app, calls );
+    harnesses.add( harness );
+    return harness;
+}
+
+/**
+ * Tear down all harnesses which haven't yet been torn down. Intended to be
+ * called after each test, e.g. from a mocha afterEach() hook.
+ * @return A promise resolving once all harness backbones have stopped.
+ */
+async function teardownAll() {
+    await Promise.all( Array.from( harnesses ).map( harness => harness.teardown() ) );
+}
+
+exports.fakeIPCService = fakeIPCService;
+exports.startHarness = startHarness;
+exports.teardownAll = teardownAll;
+exports.Harness = Harness;
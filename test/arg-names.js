@@ -0,0 +1,130 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const { readArgNames, readParams } = require('../lib/arg-names');
+
+const logger = () => {};
+
+describe('reading factory argument names', function() {
+
+    const names = fn => readArgNames('test', fn );
+
+    it('should read function declarations', function() {
+        assert.deepEqual( names( function make( a, b ) {} ), ['a','b'] );
+        assert.deepEqual( names( function() {} ), [] );
+        assert.deepEqual( names( async function make( a ) {} ), ['a'] );
+        assert.deepEqual( names( function* make( a, b ) {} ), ['a','b'] );
+    });
+
+    it('should read arrow functions', function() {
+        assert.deepEqual( names( ( a, b ) => {} ), ['a','b'] );
+        assert.deepEqual( names( a => a ), ['a'] );
+        assert.deepEqual( names( async a => a ), ['a'] );
+        assert.deepEqual( names( async ( a, b ) => a ), ['a','b'] );
+        assert.deepEqual( names( () => {} ), [] );
+    });
+
+    it('should read default parameters', function() {
+        assert.deepEqual( names( function( settings = {}, db = make( 1, 2 ) ) {} ), ['settings','db'] );
+        assert.deepEqual( names( ( a = ')', b = `${ ( 1 ) }` ) => {} ), ['a','b'] );
+        assert.deepEqual( names( ( a = /[)]/g, b ) => {} ), ['a','b'] );
+        const params = readParams('test', ( a, b = 1 ) => {} )
+            .map( ({ name, optional }) => ({ name, optional }) );
+        assert.deepEqual( params, [
+            { name: 'a', optional: false },
+            { name: 'b', optional: true }
+        ]);
+    });
+
+    it('should ignore comments', function() {
+        assert.deepEqual( names( function( a /* , x */, // y )
+            b ) {} ), ['a','b'] );
+    });
+
+    it('should read object method shorthand', function() {
+        const obj = {
+            make( a, b ) {},
+            async asyncMake( c ) {},
+            [ 'computed' + 'Make' ]( d ) {}
+        };
+        assert.deepEqual( names( obj.make ), ['a','b'] );
+        assert.deepEqual( names( obj.asyncMake ), ['c'] );
+        assert.deepEqual( names( obj.computedMake ), ['d'] );
+    });
+
+    it('should read class constructors', function() {
+        class A {
+            static create( x ) {}
+            constructor( a, b ) {
+                this.constructor( x );
+            }
+        }
+        class B extends A {}
+        class C {}
+        assert.deepEqual( names( A ), ['a','b'] );
+        assert.deepEqual( names( B ), ['a','b'] );
+        assert.deepEqual( names( C ), [] );
+    });
+
+    it('should read destructured parameters', function() {
+        assert.deepEqual( names( ({ a, b: c, 'd': e = 1 }, f ) => {} ), ['a','b','d','f'] );
+        const [ param ] = readParams('test', ({ a, b }) => {} );
+        assert.deepEqual( param.keys.map( key => key.name ), ['a','b'] );
+        assert( param.optional === false );
+    });
+
+    it('should read declared inject lists', function() {
+        function make( x ) {}
+        make.inject = ['a','b'];
+        class A {
+            static get inject() {
+                return ['c'];
+            }
+            constructor( x ) {}
+        }
+        assert.deepEqual( names( make ), ['a','b'] );
+        assert.deepEqual( names( A ), ['c'] );
+    });
+
+    it('should reject unsupported parameters', function() {
+        assert.throws( () => names( ( ...a ) => {} ), /Unsupported argument '...a'/ );
+        assert.throws( () => names( ([ a ]) => {} ), /Unsupported argument/ );
+        assert.throws( () => names( function( a ) {}.bind( null ) ), /Can't read argument names/ );
+    });
+
+});
+
+describe('destructured factory arguments', function() {
+
+    it('should be passed an object of named services', async function() {
+        const settings = { message: 'Test message' };
+        const db = { getMessage: () => settings.message };
+        const out = ({ settings, db }) => ({
+            getMessage: () => db.getMessage(),
+            message: settings.message
+        });
+        const app = await understruct.start([
+            { settings, db },
+            { out }
+        ], logger );
+        assert( app.services.out.getMessage() === app.services.out.message );
+    });
+
+});
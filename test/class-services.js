@@ -0,0 +1,99 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const settings = {
+    message: 'Test message'
+}
+
+class DB {
+    constructor( settings ) {
+        this.settings = settings;
+    }
+    async init( app ) {
+        this.app = app;
+        await new Promise( resolve => setTimeout( resolve, 10 ) );
+        this.ready = true;
+    }
+    getMessage() {
+        return this.settings.message;
+    }
+}
+
+class Out {
+    static get inject() {
+        return ['db'];
+    }
+    constructor( store ) {
+        this.store = store;
+    }
+    getMessage() {
+        return this.store.getMessage();
+    }
+}
+
+class Broken {
+    init() {
+        throw new Error('init failed');
+    }
+}
+
+const logger = () => {};
+
+describe('class services', function() {
+
+    let app;
+
+    before( async function() {
+        app = await understruct.start([
+            { settings },
+            { db: DB },
+            { out: Out }
+        ], logger );
+    });
+
+    it('should bind class instances', function() {
+        let { db, out } = app.services;
+        assert( db instanceof DB );
+        assert( out instanceof Out );
+    });
+
+    it('should inject constructor dependencies', function() {
+        let { out } = app.services;
+        assert( out.getMessage() === settings.message );
+    });
+
+    it('should wait for init to complete', function() {
+        let { db } = app.services;
+        assert( db.ready === true );
+        assert( db.app === app );
+    });
+
+    it('should report failing init methods', async function() {
+        try {
+            await understruct.start([{ broken: Broken }], logger );
+            assert( false );
+        }
+        catch( e ) {
+            assert( e.message == 'Instantiating module "broken"' );
+            assert( e.cause.message == 'init failed' );
+        }
+    });
+
+});
@@ -0,0 +1,152 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const understruct = require('../lib');
+const { main } = require('../lib/cli');
+
+const logger = () => {};
+
+const fixtures = path.join( __dirname, 'fixtures', 'manifest');
+const manifest = path.join( fixtures, 'app.json');
+const bin = path.join( __dirname, '..', 'bin', 'understruct');
+
+// Run the launcher, capturing its output.
+async function run( ...argv ) {
+    const output = { stdout: '', stderr: '' };
+    const stream = name => ({ write: data => { output[name] += data } });
+    const code = await main( argv, { stdout: stream('stdout'), stderr: stream('stderr') });
+    return Object.assign( output, { code });
+}
+
+describe('command line launcher', function() {
+
+    it('should print usage', async function() {
+        let result = await run('--help');
+        assert.equal( result.code, 0 );
+        assert( result.stdout.startsWith('Usage: understruct') );
+        result = await run();
+        assert.equal( result.code, 2 );
+        result = await run('launch');
+        assert.equal( result.code, 2 );
+        assert( result.stderr.startsWith('Unknown command: launch') );
+        result = await run('plan', manifest, '--verbose');
+        assert.equal( result.code, 2 );
+        assert( result.stderr.startsWith('Unknown option: --verbose') );
+        result = await run('plan');
+        assert.equal( result.code, 2 );
+        assert( result.stderr.startsWith('A manifest file is required') );
+    });
+
+    it('should print a layer plan', async function() {
+        let result = await run('plan', manifest, '--role', 'api');
+        assert.equal( result.code, 0 );
+        assert.equal( result.stdout, 'Layer 0:\n  settings\nLayer 1:\n  db (client)\nLayer 2:\n  api\n');
+        result = await run('plan', manifest, '--role=db-worker', '--json');
+        assert.deepEqual( JSON.parse( result.stdout ), [
+            { layer: 0, services: [ { name: 'settings' } ] },
+            { layer: 1, services: [ { name: 'db', mode: 'server' } ] }
+        ]);
+        result = await run('plan', manifest, '--role', 'web');
+        assert.equal( result.code, 1 );
+        assert( result.stderr.startsWith("Unknown role 'web'") );
+    });
+
+    it('should check every role of a manifest', async function() {
+        const result = await run('check', manifest );
+        assert.equal( result.code, 0 );
+        assert.equal( result.stdout, [
+            "Role 'api': OK (3 services in 3 layers)",
+            "Role 'db-worker': OK (2 services in 2 layers)",
+            "Role 'dev': OK (3 services in 3 layers)",
+            ''
+        ].join('\n') );
+    });
+
+    it('should report dependency problems', function() {
+        const { checkLayers } = require('../lib/cli');
+        const problems = checkLayers([
+            { a: {} },
+            { b: function( a, c ) {} },
+            { c: function( a, d, e = 1 ) {}, a: {} }
+        ]);
+        assert.deepEqual( problems, [
+            "Duplicate service: 'a' in layers 0 and 2",
+            "Dependency 'c' for 'b' in layer 1 is in layer 2",
+            "Unresolved dependency: 'd' for 'c'"
+        ]);
+    });
+
+    describe('ps', function() {
+
+        const appspace = `understruct-clitest-${process.pid}-`;
+        const stale = path.join( os.tmpdir(), `${appspace}stale`);
+        let app;
+
+        before( async function() {
+            const service = new understruct.IPCService('ps-test', undefined, appspace );
+            app = await understruct.start([ { svc: service.server } ], logger );
+            fs.writeFileSync( stale, '');
+        });
+
+        after( async function() {
+            await app.stop();
+            fs.unlinkSync( stale );
+        });
+
+        it('should list IPC services in an appspace', async function() {
+            const result = await run('ps', '--appspace', appspace, '--socket-root', os.tmpdir(), '--json');
+            assert.equal( result.code, 0 );
+            assert.deepEqual( JSON.parse( result.stdout ).map( s => `${s.id}:${s.status}` ),
+                ['ps-test-server:listening','stale:stale'] );
+        });
+
+    });
+
+    it('should start a backbone and stop it on SIGTERM', function( done ) {
+        const child = spawn( process.execPath, [ bin, 'start', manifest, '--role', 'dev'] );
+        let stdout = '', killed = false;
+        child.stdout.on('data', data => {
+            stdout += data;
+            if( !killed && stdout.includes("in role 'dev'") ) {
+                killed = true;
+                child.kill('SIGTERM');
+            }
+        });
+        child.on('exit', code => {
+            assert.equal( code, 0 );
+            assert( stdout.includes('Stopping layer 0') );
+            done();
+        });
+    });
+
+    it('should exit with an error when startup fails', function( done ) {
+        const child = spawn( process.execPath, [ bin, 'start', path.join( fixtures, 'missing.json') ] );
+        let stderr = '';
+        child.stderr.on('data', data => stderr += data );
+        child.on('exit', code => {
+            assert.equal( code, 1 );
+            assert( stderr.startsWith('Reading manifest') );
+            done();
+        });
+    });
+
+});
@@ -43,16 +43,17 @@ const [ , , mode ] = process.argv;
 
 if( mode == 'server' ) {
 
-    // Start db server in separate process.
+    // Start db server in separate process; the server is stopped when the
+    // test kills the process.
     understruct.start([
         { settings },
         { db: db.server }
-    ], logger );
+    ], { log: logger, signals: true });
 
 }
 else {
 
-    const { exec } = require('child_process');
+    const { spawn } = require('child_process');
 
     function out( settings ) {
         const service = {
@@ -66,11 +67,11 @@ else {
 
     describe('client <=> server', function() {
 
-        let child;
+        let child, app;
 
         before( async function() {
             // Start server component in a separate process.
-            child = exec(`node ${__filename} server`);
+            child = spawn( process.execPath, [ __filename, 'server' ]);
             // Give process time to start.
             await new Promise( resolve => setTimeout( resolve, 500 ) );
             // Start local backbone.
@@ -96,15 +97,34 @@ else {
             assert( settings.message === message );
         });
 
-        it('should receive a ping message from the server', function( done ) {
+        it('should receive a ping message from the server', async function() {
             let { db } = app.services;
-            db.on('ping', done );
-            db.sendPing();
+            let ping = new Promise( resolve => db.once('ping', resolve ) );
+            await db.sendPing();
+            await ping;
         });
 
-        after( function() {
+        it('should report the health of the server', async function() {
+            let report = await app.health();
+            assert( report.status == 'ok' );
+            assert( report.services.db.status == 'ok' );
+        });
+
+        it('should intercept client stub messages', async function() {
+            const calls = [];
+            const handle = app.intercept('db', {
+                after: call => { calls.push(`${call.method}:${call.result}`) },
+                methods: ['getMessage']
+            });
+            let message = await app.services.db.getMessage();
+            assert( message === settings.message );
+            assert.deepEqual( calls, ['getMessage:Test message'] );
+            handle.dispose();
+        });
+
+        after( async function() {
+            await app.stop();
             child.kill();
-            app.services.db.disconnect();
         });
 
     });
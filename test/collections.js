@@ -0,0 +1,217 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const { contributes } = understruct;
+
+const { checkLayers } = require('../lib/cli');
+
+const logger = () => {};
+
+describe('service collections', function() {
+
+    let app;
+
+    afterEach( async function() {
+        if( app ) {
+            await app.stop();
+            app = undefined;
+        }
+    });
+
+    // Make a route provider.
+    const routes = path => () => ({ path, handle: () => path });
+
+    it('should validate contributions', function() {
+        assert.throws( () => contributes( 1, {} ), TypeError );
+        assert.throws( () => contributes('routes', {}, { priority: 'high' }), TypeError );
+        assert.throws( () => contributes('routes', understruct.lazy( () => ({}) )), TypeError );
+    });
+
+    it('should inject contributions as a list ordered by priority', async function() {
+        app = await understruct.start([
+            {
+                userRoutes:     contributes('routes', routes('/users') ),
+                adminRoutes:    contributes('routes', routes('/admin'), { priority: 10 }),
+                staticRoutes:   contributes('routes', routes('/static'), { priority: -1 }),
+                authRoutes:     contributes('routes', routes('/auth'), { priority: 10 })
+            },
+            { http: routes => ({ paths: routes.map( r => r.path ) }) }
+        ], logger );
+        assert.deepEqual( app.services.http.paths, ['/admin','/auth','/users','/static'] );
+        // Contributed services are also bound under their own names.
+        assert.equal( app.services.userRoutes.path, '/users');
+    });
+
+    it('should emit a bind event for each contribution', async function() {
+        const events = [];
+        app = await understruct.start([
+            {
+                a: contributes('plugins', { id: 'a' }),
+                b: contributes('plugins', { id: 'b' }, { priority: 1 })
+            }
+        ], {
+            log: logger,
+            listeners: {
+                'service-bind': ({ name, service, priority, contributor }) => {
+                    if( name == 'plugins' ) {
+                        events.push(`${service.id}:${priority}:${contributor}`);
+                    }
+                }
+            }
+        });
+        assert.deepEqual( events, ['a:0:a','b:1:b'] );
+        const notified = [];
+        app.onServiceBind('plugins', plugin => notified.push( plugin.id ), false );
+        app.contribute('plugins', { id: 'c' }, { priority: 5 });
+        assert.deepEqual( notified, ['b','a','c'] );
+        assert.deepEqual( app.services.plugins.map( p => p.id ), ['c','b','a'] );
+    });
+
+    it('should withdraw contributions', async function() {
+        app = await understruct.start([{ a: contributes('plugins', { id: 'a' }) }], logger );
+        const unbound = [];
+        app.onServiceUnbind('plugins', plugin => unbound.push( plugin.id ) );
+        const handle = app.contribute('plugins', { id: 'b' });
+        const before = app.services.plugins;
+        handle.dispose();
+        assert.deepEqual( app.services.plugins.map( p => p.id ), ['a'] );
+        // Previously injected lists are unchanged.
+        assert.equal( before.length, 2 );
+        await app.unbind('a');
+        assert.deepEqual( unbound, ['b','a'] );
+        assert.equal( app.services.plugins, undefined );
+    });
+
+    it('should replace the contributions of rebound services', async function() {
+        app = await understruct.start([
+            {
+                a: contributes('plugins', { id: 'a1' }, { priority: 1 }),
+                b: contributes('plugins', { id: 'b' })
+            }
+        ], logger );
+        await app.rebind('a', { id: 'a2' });
+        assert.deepEqual( app.services.plugins.map( p => p.id ), ['a2','b'] );
+        try {
+            await app.rebind('plugins', []);
+            assert( false );
+        }
+        catch( e ) {
+            assert( /Can't rebind service collection: 'plugins'/.test( e.message ) );
+        }
+        const removed = await app.unbind('plugins');
+        assert.equal( removed.length, 2 );
+        assert.equal( app.services.plugins, undefined );
+        assert.equal( app.services.a.id, 'a2');
+    });
+
+    it('should not contribute to a service', async function() {
+        app = await understruct.start([{ settings: {} }], logger );
+        assert.throws( () => app.contribute('settings', {}), /Service isn't a collection: 'settings'/ );
+        app.contribute('plugins', {});
+        assert.throws( () => app.bind('plugins', {}), /Service already bound: 'plugins'/ );
+    });
+
+    it('should fail startup before contributing to a service', async function() {
+        const created = [], stopped = [];
+        const service = name => () => {
+            created.push( name );
+            return { stop: () => { stopped.push( name ) } };
+        };
+        try {
+            app = await understruct.start([
+                { routes: service('routes') },
+                { x: contributes('routes', service('x') ) }
+            ], logger );
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, "Service isn't a collection: 'routes'");
+        }
+        assert.deepEqual( created, ['routes'] );
+        assert.deepEqual( stopped, ['routes'] );
+    });
+
+    it('should not list collections as conforming services', async function() {
+        app = await understruct.start([
+            { a: contributes('plugins', { id: 'a', run: () => {} }) }
+        ], logger );
+        const conforming = [];
+        app.onConformingServiceBind({ run: 'function' }, ( service, name ) => conforming.push( name ) );
+        app.contribute('plugins', { id: 'b', run: () => {} });
+        assert.deepEqual( app.listConformingServices({ run: 'function' }), ['a'] );
+        assert.deepEqual( conforming, ['a'] );
+    });
+
+    it('should describe contributions', async function() {
+        app = await understruct.start([
+            { a: contributes('plugins', {}, { priority: 2 }), b: contributes('plugins', {}) },
+            { host: plugins => ({ plugins }) }
+        ], logger );
+        const graph = app.describe();
+        assert.deepEqual( graph.services.map( s => s.name ), ['a','b','host'] );
+        assert.equal( graph.services[0].contributes, 'plugins');
+        assert.equal( graph.services[0].priority, 2 );
+        assert.deepEqual( graph.edges, [
+            { from: 'host', to: 'a', type: 'backward' },
+            { from: 'host', to: 'b', type: 'backward' }
+        ]);
+    });
+
+    it('should remove collections when stopped', async function() {
+        app = await understruct.start([{ a: contributes('plugins', {}) }], logger );
+        await app.stop();
+        assert.equal( app.services.plugins, undefined );
+        app = undefined;
+    });
+
+    it('should infer layers from collection dependencies', function() {
+        const layers = understruct.inferLayers({
+            settings: {},
+            host: plugins => ({ plugins }),
+            a: contributes('plugins', settings => ({ settings }) ),
+            b: contributes('plugins', {})
+        });
+        assert.deepEqual( layers.map( layer => Object.keys( layer ) ), [['settings','b'],['a'],['host']] );
+        assert.throws( () => understruct.inferLayers({
+            plugins: {},
+            a: contributes('plugins', {})
+        }), /Collection 'plugins' has the same name as a service/ );
+    });
+
+    it('should check collection dependencies', function() {
+        assert.deepEqual( checkLayers([
+            { a: contributes('plugins', {}) },
+            { b: contributes('plugins', {}), host: plugins => ({ plugins }) }
+        ]), ["Dependency 'plugins' for 'host' in layer 1 is in layer 1"] );
+        assert.deepEqual( checkLayers([
+            { a: contributes('plugins', {}), b: contributes('plugins', {}) },
+            { host: plugins => ({ plugins }) }
+        ]), [] );
+    });
+
+    it('should read contributions from manifests', function() {
+        const layers = understruct.resolveManifest({
+            layers: [{ a: { module: {}, contributes: 'plugins', priority: 3 } }]
+        });
+        assert.equal( layers[0].a.collection, 'plugins');
+        assert.equal( layers[0].a.priority, 3 );
+    });
+
+});
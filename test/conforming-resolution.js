@@ -0,0 +1,162 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+const { checkLayers } = require('../lib/cli');
+
+const logger = () => {};
+
+describe('conforming dependency resolution', function() {
+
+    let app;
+
+    const interfaces = {
+        Timer:  { getTime: 'function' }
+    };
+
+    // Make a timer service.
+    const timer = id => ({ id, getTime: () => 0 });
+
+    // Make a factory function with a single conforming dependency.
+    function consumer( options ) {
+        function make( timer ) {
+            return { timer };
+        }
+        make.inject = { timer: Object.assign( { conforming: { getTime: 'function' } }, options ) };
+        return make;
+    }
+
+    afterEach( async function() {
+        if( app ) {
+            await app.stop();
+            app = undefined;
+        }
+    });
+
+    it('should inject the single conforming service', async function() {
+        app = await understruct.start([
+            { timer: timer('timer'), other: {} },
+            { user: consumer() }
+        ], logger );
+        assert.equal( app.services.user.timer.id, 'timer');
+        assert.deepEqual( app.describe().edges.filter( edge => edge.type == 'conforming'), [
+            { from: 'user', to: 'timer', type: 'conforming' }
+        ]);
+    });
+
+    it('should fail when more than one service conforms', async function() {
+        try {
+            app = await understruct.start([
+                { timer1: timer('timer1'), timer2: timer('timer2') },
+                { user: consumer() }
+            ], logger );
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, "Ambiguous conforming dependency: 'timer' for 'user' matches services: timer1, timer2");
+        }
+    });
+
+    it('should fail when no service conforms', async function() {
+        try {
+            app = await understruct.start([
+                { other: {} },
+                { user: consumer() }
+            ], logger );
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, "Unresolved conforming dependency: 'timer' for 'user'");
+        }
+        app = await understruct.start([
+            { other: {} },
+            { user: consumer({ default: 'none' }) }
+        ], logger );
+        assert.equal( app.services.user.timer, 'none');
+    });
+
+    it('should inject all conforming services into list dependencies', async function() {
+        app = await understruct.start([
+            { timer1: timer('timer1'), timer2: timer('timer2') },
+            { user: consumer({ list: true }) }
+        ], logger );
+        assert.deepEqual( app.services.user.timer.map( timer => timer.id ), ['timer1','timer2'] );
+    });
+
+    it('should list conforming services in bind order', async function() {
+        app = await understruct.start([
+            { b: timer('b'), c: understruct.lazy( () => timer('c') ) },
+            { a: timer('a') }
+        ], logger );
+        app.bind('2', timer('2') );
+        app.bind('1', timer('1') );
+        // Note that lazy service 'c' isn't listed until instantiated.
+        assert.deepEqual( app.listConformingServices( interfaces.Timer ), ['b','a','2','1'] );
+        // Instantiated and rebound services keep their position.
+        await app.get('c');
+        await app.rebind('b', timer('b2') );
+        assert.deepEqual( app.listConformingServices( interfaces.Timer ), ['b','c','a','2','1'] );
+        await app.unbind('2');
+        app.bind('2', timer('2') );
+        const names = [];
+        app.onConformingServiceBind( interfaces.Timer, ( timer, name ) => names.push( name ) );
+        assert.deepEqual( names, ['b','c','a','1','2'] );
+        // Services bound to a scope are listed before those of its parent.
+        const scope = await app.createScope([{ z: timer('z'), a: timer('scoped') }]);
+        assert.deepEqual( scope.listConformingServices( interfaces.Timer ), ['z','a','b','c','1','2'] );
+        await scope.stop();
+    });
+
+    it('should infer layers from named interface providers', async function() {
+        function makeTimer() {
+            return { getTime: () => 0 };
+        }
+        makeTimer.provides = 'Timer';
+        function makeClock( timer ) {
+            return { timer };
+        }
+        makeClock.inject = { timer: { conforming: 'Timer' } };
+        const layers = understruct.inferLayers({ clock: makeClock, timer: makeTimer });
+        assert.deepEqual( layers.map( layer => Object.keys( layer ) ), [['timer'],['clock']] );
+        app = await understruct.autostart({ clock: makeClock, timer: makeTimer }, { log: logger, interfaces });
+        assert.strictEqual( app.services.clock.timer, app.services.timer );
+    });
+
+    it('should check named interface providers', function() {
+        function makeTimer() {
+            return { getTime: () => 0 };
+        }
+        makeTimer.provides = 'Timer';
+        function makeClock( timer ) {}
+        makeClock.inject = { timer: { conforming: 'Timer' } };
+        function makeClocks( timers ) {}
+        makeClocks.inject = { timers: { conforming: 'Timer', list: true } };
+        const problems = checkLayers([
+            { timer1: makeTimer },
+            { clock: makeClock, clocks: makeClocks },
+            { timer2: makeTimer }
+        ]);
+        assert.deepEqual( problems, [
+            "Conforming dependency 'timer' for 'clock' in layer 1 is provided by 'timer2' in layer 2",
+            "Ambiguous conforming dependency: 'timer' for 'clock' matches services: timer1, timer2",
+            "Conforming dependency 'timers' for 'clocks' in layer 1 is provided by 'timer2' in layer 2"
+        ]);
+        assert.deepEqual( checkLayers([{ timer1: makeTimer }, { clock: makeClock, clocks: makeClocks }]), [] );
+    });
+
+});
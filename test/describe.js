@@ -0,0 +1,95 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const settings = {
+    message: 'Test message'
+}
+
+const db = new understruct.IPCService('describe-db');
+db.initServer = function( settings ) {};
+db.messages = {
+    getMessage: function() {}
+};
+
+function out( settings ) {
+    const service = {};
+    this.onServiceBind('http', http => service.http = http );
+    this.onConformingServiceBind({ getMessage: 'function' }, db => service.db = db );
+    return service;
+}
+
+function http( out ) {
+    return {};
+}
+
+const logger = () => {};
+
+describe('describing the service graph', function() {
+
+    let app, graph;
+
+    before( async function() {
+        app = await understruct.start([
+            { settings },
+            { db: db.service, out },
+            { http }
+        ], logger );
+        graph = app.describe();
+    });
+
+    after( async function() {
+        await app.stop();
+    });
+
+    it('should list services in layer order', function() {
+        assert.deepEqual( graph.services, [
+            { name: 'settings', layer: 0, kind: 'object', dependencies: [] },
+            { name: 'db', layer: 1, kind: 'factory', ipc: 'service', dependencies: ['settings'] },
+            { name: 'out', layer: 1, kind: 'factory', dependencies: ['settings'] },
+            { name: 'http', layer: 2, kind: 'factory', dependencies: ['out'] }
+        ]);
+    });
+
+    it('should list backward, forward and conforming edges', function() {
+        const edges = graph.edges.map( edge => `${edge.from} ${edge.type} ${edge.to}` ).sort();
+        assert.deepEqual( edges, [
+            'db backward settings',
+            'http backward out',
+            'out backward settings',
+            'out conforming db',
+            'out forward http'
+        ]);
+    });
+
+    it('should serialize to JSON', function() {
+        assert.deepEqual( JSON.parse( understruct.toJSON( graph ) ), graph );
+    });
+
+    it('should serialize to DOT', function() {
+        const dot = understruct.toDOT( graph );
+        assert( dot.startsWith('digraph "understruct" {') );
+        assert( dot.includes('subgraph cluster_layer1 {') );
+        assert( dot.includes('"db" [label="db\\n(service)", shape=box];') );
+        assert( dot.includes('"out" -> "http" [style=dashed];') );
+        assert( dot.includes('"out" -> "db" [style=dotted];') );
+        assert( dot.includes('"http" -> "out";') );
+    });
+
+});
@@ -0,0 +1,184 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const { EventEmitter } = require('events');
+
+const understruct = require('../lib');
+
+const logger = () => {};
+
+describe('event routing', function() {
+
+    let app, db, queue;
+
+    beforeEach( async function() {
+        db = new EventEmitter();
+        queue = new EventEmitter();
+        app = await understruct.start([
+            { db, queue, settings: {} }
+        ], logger );
+    });
+
+    afterEach( async function() {
+        await app.stop();
+    });
+
+    it('should listen to all events from a service', function() {
+        const events = [];
+        app.on('db:*', ( source, arg ) => events.push(`${source.service}:${source.event}:${arg}`) );
+        db.emit('connect', 1 );
+        db.emit('query', 2 );
+        queue.emit('push', 3 );
+        assert.deepEqual( events, ['db:connect:1','db:query:2'] );
+    });
+
+    it('should listen to an event from all services', function() {
+        const errors = [];
+        app.on('*:error', ( source, err ) => errors.push(`${source.service}:${err.message}`) );
+        // Errors handled by a wildcard listener don't throw.
+        db.emit('error', new Error('db failure') );
+        queue.emit('error', new Error('queue failure') );
+        queue.emit('push');
+        assert.deepEqual( errors, ['db:db failure','queue:queue failure'] );
+    });
+
+    it('should listen to all events from all services', function() {
+        const events = [];
+        app.on('**', source => events.push(`${source.service}:${source.event}`) );
+        db.emit('connect');
+        queue.emit('push');
+        assert.deepEqual( events, ['db:connect','queue:push'] );
+    });
+
+    it('should route events from services bound later', async function() {
+        const events = [];
+        app.on('*:ready', source => events.push( source.service ) );
+        const cache = new EventEmitter();
+        app.bind('cache', cache );
+        cache.emit('ready');
+        await app.unbind('cache');
+        cache.emit('ready');
+        assert.deepEqual( events, ['cache'] );
+        // The service's emit method is restored once unbound.
+        assert( !cache.hasOwnProperty('emit') );
+    });
+
+    it('should restore the emit method of intercepted services', async function() {
+        const events = [];
+        app.intercept( {}, {} );
+        app.on('*:ready', source => events.push( source.service ) );
+        const cache = new EventEmitter();
+        const log = new EventEmitter();
+        const emit = function() {
+            return EventEmitter.prototype.emit.apply( this, arguments );
+        };
+        log.emit = emit;
+        app.bind('cache', cache );
+        app.bind('log', log );
+        app.services.cache.emit('ready');
+        log.emit('ready');
+        await app.unbind('cache');
+        await app.unbind('log');
+        assert.deepEqual( events, ['cache','log'] );
+        assert( !cache.hasOwnProperty('emit') );
+        assert.strictEqual( log.emit, emit );
+    });
+
+    it('should call once-off wildcard listeners once', function() {
+        let count = 0;
+        app.once('db:*', () => count++ );
+        db.emit('connect');
+        db.emit('query');
+        assert.equal( count, 1 );
+    });
+
+    it('should remove wildcard listeners', function() {
+        let count = 0;
+        const listener = () => count++;
+        app.on('**', listener );
+        db.emit('connect');
+        app.off('**', listener );
+        db.emit('connect');
+        assert.equal( count, 1 );
+    });
+
+    it('should remove qualified listeners', function() {
+        let count = 0;
+        const listener = () => count++;
+        app.on('db:query', listener );
+        db.emit('query');
+        app.removeListener('db:query', listener );
+        db.emit('query');
+        assert.equal( count, 1 );
+        assert.equal( db.listenerCount('query'), 0 );
+    });
+
+    it('should remove listeners waiting for their event source', function() {
+        let count = 0;
+        const listener = () => count++;
+        app.on('cache:ready', listener );
+        app.off('cache:ready', listener );
+        const cache = new EventEmitter();
+        app.bind('cache', cache );
+        cache.emit('ready');
+        assert.equal( count, 0 );
+        assert.equal( cache.listenerCount('ready'), 0 );
+        assert.equal( app.listenerCount('service-bind'), 0 );
+    });
+
+    it('should remove backbone listeners', function() {
+        let count = 0;
+        const listener = () => count++;
+        app.on(':custom', listener );
+        app.emit('custom');
+        app.off(':custom', listener );
+        app.emit('custom');
+        assert.equal( count, 1 );
+    });
+
+    it('should tap all events', function() {
+        const events = [];
+        const handle = app.tap( ( source, ...args ) => {
+            events.push(`${source.service}:${source.event}:${args.length}`);
+        });
+        db.emit('query', 1, 2 );
+        app.bind('cache', {});
+        handle.dispose();
+        db.emit('query');
+        assert.deepEqual( events, ['db:query:2',':service-bind:1'] );
+    });
+
+    it('should stop routing events when stopped', async function() {
+        app.tap( () => {} );
+        assert( db.hasOwnProperty('emit') );
+        await app.stop();
+        assert( !db.hasOwnProperty('emit') );
+    });
+
+    it('should route events from parent services to scopes', async function() {
+        const scope = await app.createScope([{ local: new EventEmitter() }]);
+        const events = [];
+        scope.on('**', source => events.push( source.service ) );
+        db.emit('query');
+        scope.services.local.emit('query');
+        await scope.stop();
+        db.emit('query');
+        assert.deepEqual( events, ['db','local'] );
+    });
+
+});
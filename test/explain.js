@@ -0,0 +1,146 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const { explain, compile, optional, instanceOf } = understruct.InterfaceDef;
+
+describe('explaining interface mismatches', function() {
+
+    const timerIF = {
+        getTime:    'function(0)',
+        setTime:    'function(1)',
+        zone:       'string?',
+        settings:   { precision: "'ms'|'ns'" }
+    };
+
+    it('should return no mismatches for conforming objects', function() {
+        const timer = {
+            getTime: () => 0,
+            setTime: time => {},
+            settings: { precision: 'ms' }
+        };
+        assert( compile( timerIF )( timer ) );
+        assert.deepEqual( explain( timerIF, timer ), [] );
+    });
+
+    it('should list mismatching property paths', function() {
+        const timer = {
+            getTime: ( a, b ) => 0,
+            zone: 1,
+            settings: { precision: 's' }
+        };
+        assert.deepEqual( explain( timerIF, timer ), [
+            { path: 'getTime', expected: 'function(0)', actual: 'function(2)' },
+            { path: 'setTime', expected: 'function(1)', actual: 'undefined' },
+            { path: 'zone', expected: 'string?', actual: 'number 1' },
+            { path: 'settings.precision', expected: "'ms'|'ns'", actual: 'string "s"' }
+        ]);
+    });
+
+    it('should describe actual values', function() {
+        const ifdef = { a: 'string', b: 'string', c: 'string', d: 'string', e: 'string', f: instanceOf( Date ) };
+        const mismatches = explain( ifdef, {
+            a: null,
+            b: [],
+            c: async () => {},
+            d: Promise.resolve(),
+            e: new Map(),
+            f: {}
+        });
+        assert.deepEqual( mismatches.map( m => m.actual ), [
+            'null', 'array', 'asyncfunction', 'promise', 'object (Map)', 'object'
+        ]);
+        assert.equal( mismatches[5].expected, 'instanceof Date');
+    });
+
+    it('should explain missing objects and nested objects', function() {
+        assert.deepEqual( explain(['a'], undefined ), [{ path: '', expected: 'object', actual: 'undefined' }] );
+        assert.deepEqual( explain({ db: { query: 'function' } }, {}), [
+            { path: 'db', expected: 'object', actual: 'undefined' }
+        ]);
+        assert.deepEqual( explain({ db: optional({ query: 'function' }) }, { db: {} }), [
+            { path: 'db.query', expected: 'function', actual: 'undefined' }
+        ]);
+    });
+
+    it('should accept compiled definitions', function() {
+        const iftest = compile({ a: 'number' });
+        assert.deepEqual( explain( iftest, { a: 'x' }), [{ path: 'a', expected: 'number', actual: 'string "x"' }] );
+    });
+
+});
+
+describe('debug mode', function() {
+
+    let app, messages;
+
+    const log = message => messages.push( message );
+
+    beforeEach( function() {
+        messages = [];
+    });
+
+    afterEach( async function() {
+        await app.stop();
+    });
+
+    const timerIF = { getTime: 'function', setTime: 'function' };
+
+    it('should log services nearly conforming to a listener\'s interface', async function() {
+        app = await understruct.start([
+            { clock: { getTime: () => 0 }, other: { run: () => {} } },
+            { reporter: function() {
+                this.onConformingServiceBind( timerIF, () => {} );
+                return {};
+            } }
+        ], { log, debug: true });
+        assert( messages.includes("Service 'clock' nearly conforms to interface required by 'reporter': "
+            +"property 'setTime' expected function, got undefined") );
+        assert( !messages.some( message => /'other'/.test( message ) ) );
+    });
+
+    it('should log listeners without near misses', async function() {
+        app = await understruct.start([{ settings: {} }], { log, debug: true });
+        app.onConformingServiceBind({ getTime: 'function' }, () => {} );
+        assert( messages.includes('No services conform to interface') );
+    });
+
+    it('should not log listeners which receive services', async function() {
+        app = await understruct.start([
+            { clock: { getTime: () => 0, setTime: () => {} }, broken: { getTime: () => 0 } },
+            { reporter: function() {
+                this.onConformingServiceBind( timerIF, () => {} );
+                return {};
+            } }
+        ], { log, debug: true });
+        assert( !messages.some( message => /conform/.test( message ) ) );
+    });
+
+    it('should not log when not in debug mode', async function() {
+        app = await understruct.start([
+            { clock: { getTime: () => 0 } },
+            { reporter: function() {
+                this.onConformingServiceBind( timerIF, () => {} );
+                return {};
+            } }
+        ], { log });
+        assert( !messages.some( message => /conform/.test( message ) ) );
+    });
+
+});
@@ -0,0 +1,27 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const settings = require('./settings');
+
+// A JS manifest, with a flat service map and in-line service definitions.
+module.exports = {
+    services: {
+        api: { module: require('./api'), export: 'makeAPI' },
+        db: { module: './db', mode: { '*': 'service' } },
+        settings
+    },
+    options: { serviceTimeout: 1000 }
+};
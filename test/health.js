@@ -0,0 +1,65 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const logger = () => {};
+
+describe('health checks', function() {
+
+    it('should report ok when all services are healthy', async function() {
+        const app = await understruct.start([{
+            settings: {},
+            db: { health: () => true },
+            cache: { health: async () => ({ status: 'ok', message: 'Connected' }) }
+        }], logger );
+        const report = await app.health();
+        assert( report.status == 'ok' );
+        assert.deepEqual( Object.keys( report.services ), ['db','cache'] );
+        assert( report.services.cache.message == 'Connected' );
+        assert( typeof report.services.db.latency == 'number' );
+    });
+
+    it('should report the most severe status', async function() {
+        const app = await understruct.start([{
+            a: { health: () => 'degraded' },
+            b: { health: () => undefined }
+        }], logger );
+        const report = await app.health();
+        assert( report.status == 'degraded' );
+        assert( report.services.b.status == 'ok' );
+    });
+
+    it('should report failing and stalled services as failed', async function() {
+        const app = await understruct.start([{
+            a: { health: () => { throw new Error('No connection') } },
+            b: { health: () => new Promise( () => {} ) },
+            c: { health: () => false }
+        }], logger );
+        const report = await app.health( 20 );
+        assert( report.status == 'failed' );
+        assert.deepEqual( report.services.a, {
+            status: 'failed',
+            message: 'No connection',
+            latency: report.services.a.latency
+        });
+        assert( report.services.b.message == 'Timeout checking health of service "b"' );
+        assert( report.services.c.status == 'failed' );
+    });
+
+});
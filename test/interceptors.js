@@ -0,0 +1,176 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const logger = () => {};
+
+describe('interceptors', function() {
+
+    let calls;
+
+    // Make an interceptor which records calls.
+    const recorder = ( tag, methods ) => ({
+        before: call => { calls.push(`${tag}:before:${call.service}.${call.method}(${call.args.join(',')})`) },
+        after:  call => { calls.push(`${tag}:after:${call.service}.${call.method}=${call.result}`) },
+        error:  call => { calls.push(`${tag}:error:${call.service}.${call.method}:${call.error.message}`) },
+        methods
+    });
+
+    const db = {
+        query: sql => `rows for ${sql}`,
+        load: async id => `record ${id}`,
+        fail: () => { throw new Error('failed') },
+        reject: async () => { throw new Error('rejected') },
+        name: 'db'
+    };
+
+    const cache = {
+        query: sql => `cached ${sql}`
+    };
+
+    beforeEach( function() {
+        calls = [];
+    });
+
+    it('should intercept services selected by name', async function() {
+        let api;
+        const app = await understruct.start([
+            { db, cache },
+            { api: db => ( api = { db } ) }
+        ], { log: logger, interceptors: [ Object.assign({ target: 'db' }, recorder('log') ) ] });
+        // Dependencies are injected as intercepted services.
+        assert.equal( api.db.query('x'), 'rows for x');
+        assert.equal( app.services.cache.query('x'), 'cached x');
+        assert.equal( app.services.db.name, 'db');
+        assert.deepEqual( calls, ['log:before:db.query(x)','log:after:db.query=rows for x'] );
+        await app.stop();
+    });
+
+    it('should intercept async methods and errors', async function() {
+        const app = await understruct.start([ { db } ], logger );
+        app.intercept('db', recorder('log') );
+        const { services } = app;
+        assert.equal( await services.db.load( 1 ), 'record 1');
+        assert.throws( () => services.db.fail(), /failed/ );
+        try {
+            await services.db.reject();
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, 'rejected');
+        }
+        assert.deepEqual( calls, [
+            'log:before:db.load(1)',
+            'log:after:db.load=record 1',
+            'log:before:db.fail()',
+            'log:error:db.fail:failed',
+            'log:before:db.reject()',
+            'log:error:db.reject:rejected'
+        ]);
+        await app.stop();
+    });
+
+    it('should select services by interface', async function() {
+        const app = await understruct.start([ { db, cache } ], logger );
+        app.intercept({ query: 'function' }, recorder('q', ['query']) );
+        app.services.db.query('a');
+        app.services.cache.query('b');
+        app.services.db.load( 2 );
+        assert.deepEqual( calls, [
+            'q:before:db.query(a)',
+            'q:after:db.query=rows for a',
+            'q:before:cache.query(b)',
+            'q:after:cache.query=cached b'
+        ]);
+        await app.stop();
+    });
+
+    it('should nest interceptors and allow arguments and results to be replaced', async function() {
+        const app = await understruct.start([ { db } ], logger );
+        app.intercept('db', {
+            before: call => { call.args = call.args.map( arg => arg.toUpperCase() ) },
+            after:  call => `[${call.result}]`,
+            methods: ['query']
+        });
+        app.intercept('db', recorder('inner', ['query']) );
+        assert.equal( app.services.db.query('x'), '[rows for X]');
+        assert.deepEqual( calls, ['inner:before:db.query(X)','inner:after:db.query=rows for X'] );
+        await app.stop();
+    });
+
+    it('should remove disposed interceptors', async function() {
+        const app = await understruct.start([ { db } ], logger );
+        const handle = app.intercept('db', recorder('log') );
+        app.services.db.query('a');
+        handle.dispose();
+        app.services.db.query('b');
+        assert.equal( calls.length, 2 );
+        await app.stop();
+    });
+
+    it('should call methods on the service instance', async function() {
+        class Counter {
+            #count = 0;
+            increment() {
+                return ++this.#count;
+            }
+            get count() {
+                return this.#count;
+            }
+        }
+        const app = await understruct.start([ { map: new Map(), counter: new Counter() } ], logger );
+        app.intercept( ['increment'], recorder('log') );
+        app.intercept('map', recorder('log', ['set']) );
+        const { map, counter } = app.services;
+        map.set('a', 1 );
+        assert.equal( map.get('a'), 1 );
+        assert.equal( map.size, 1 );
+        assert.equal( counter.increment(), 1 );
+        assert.equal( counter.count, 1 );
+        assert.deepEqual( calls, [
+            'log:before:map.set(a,1)',
+            'log:after:map.set=[object Map]',
+            'log:before:counter.increment()',
+            'log:after:counter.increment=1'
+        ]);
+        await app.stop();
+    });
+
+    it('should intercept IPC standalone services', async function() {
+        const ipc = new understruct.IPCService('interceptor-test');
+        ipc.messages = {
+            echo: message => message
+        };
+        const app = await understruct.start([ { echo: ipc.service } ], {
+            log: logger,
+            interceptors: [ Object.assign({ target: 'echo' }, recorder('ipc', ['echo']) ) ]
+        });
+        assert.equal( await app.services.echo.echo('hi'), 'hi');
+        assert.deepEqual( calls, ['ipc:before:echo.echo(hi)','ipc:after:echo.echo=hi'] );
+        await app.stop();
+    });
+
+    it('should validate interceptors', async function() {
+        const app = await understruct.start([ { db } ], logger );
+        assert.throws( () => app.intercept('db', { before: true }), /must be functions/ );
+        assert.throws( () => app.intercept('db', { methods: 'query' }), /methods must be an array/ );
+        await app.stop();
+    });
+
+});
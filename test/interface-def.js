@@ -0,0 +1,131 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const InterfaceDef = require('../lib/interface-def');
+
+const { compile, instanceOf, predicate, optional, arrayOf } = InterfaceDef;
+
+describe('interface definitions', function() {
+
+    // Test a value against a single property type.
+    const isa = ( type, value ) => compile({ p: type })({ p: value });
+
+    it('should test basic types', function() {
+        assert( isa('function', () => {}) );
+        assert( isa('object', {}) );
+        assert( isa('array', []) );
+        assert( isa('string', 'a') );
+        assert( isa('number', 1) );
+        assert( isa('boolean', false) );
+        assert( !isa('string', 1) );
+        assert( !isa('number', undefined) );
+    });
+
+    it('should test promises and async functions', function() {
+        assert( isa('promise', Promise.resolve() ) );
+        assert( isa('promise', { then: () => {} }) );
+        assert( !isa('promise', {}) );
+        assert( isa('asyncfunction', async () => {}) );
+        assert( !isa('asyncfunction', () => {}) );
+        assert( isa('any', 0 ) );
+        assert( isa('any', null ) );
+        assert( !isa('any', undefined ) );
+    });
+
+    it('should test optional properties', function() {
+        assert( isa('string?', undefined ) );
+        assert( isa('string?', 'a') );
+        assert( !isa('string?', 1 ) );
+        assert( compile({ p: 'string?' })({}) );
+        assert( isa( optional('number'), undefined ) );
+        assert( !isa( optional('number'), 'a') );
+    });
+
+    it('should test unions and literals', function() {
+        assert( isa('string|number', 'a') );
+        assert( isa('string|number', 1 ) );
+        assert( !isa('string|number', true ) );
+        assert( isa("'read'|'write'", 'write') );
+        assert( !isa("'read'|'write'", 'delete') );
+        assert( isa('"read"', 'read') );
+        assert( isa('42', 42 ) );
+        assert( isa('-1.5', -1.5 ) );
+        assert( isa('true', true ) );
+        assert( isa('null|string', null ) );
+        assert( isa(" 'a' | 'b' ? ", undefined ) );
+    });
+
+    it('should test arrays of a type', function() {
+        assert( isa('string[]', ['a','b']) );
+        assert( isa('string[]', []) );
+        assert( !isa('string[]', ['a', 1]) );
+        assert( isa('(string|number)[]', ['a', 1]) );
+        assert( isa('number[][]', [[1],[2,3]]) );
+        assert( isa( arrayOf( instanceOf( Date ) ), [ new Date() ]) );
+        assert( isa( arrayOf({ id: 'number' }), [{ id: 1 }]) );
+        assert( !isa( arrayOf({ id: 'number' }), [{ id: 'a' }]) );
+    });
+
+    it('should test function arity', function() {
+        assert( isa('function(2)', ( a, b ) => {}) );
+        assert( !isa('function(2)', a => {}) );
+        assert( isa('function(0)', () => {}) );
+    });
+
+    it('should test instances and predicates', function() {
+        assert( isa( instanceOf( Date ), new Date() ) );
+        assert( !isa( instanceOf( Date ), {}) );
+        const positive = predicate( value => value > 0 );
+        assert( isa( positive, 1 ) );
+        assert( !isa( positive, -1 ) );
+        assert.throws( () => instanceOf('Date'), TypeError );
+        assert.throws( () => predicate( true ), TypeError );
+    });
+
+    it('should test nested definitions', function() {
+        const iftest = compile({ db: { query: 'function', name: 'string?' } });
+        assert( iftest({ db: { query: () => {} } }) );
+        assert( !iftest({ db: {} }) );
+        assert( !iftest({}) );
+        assert( !iftest( null ) );
+    });
+
+    it('should accept any defined value for array-form definitions', function() {
+        const iftest = compile(['start','stop']);
+        assert( iftest({ start: () => {}, stop: () => {} }) );
+        assert( iftest({ start: 1, stop: 'a' }) );
+        assert( !iftest({ start: () => {} }) );
+    });
+
+    it('should reject bad types', function() {
+        assert.throws( () => compile({ p: 'strng' }), /Unsupported type 'strng' for property 'p'/ );
+        assert.throws( () => compile({ p: 'string|' }), /Bad type 'string\|' for property 'p'/ );
+        assert.throws( () => compile({ p: 'string number' }), /Bad type/ );
+        assert.throws( () => compile({ p: '(string' }), /Bad type/ );
+        assert.throws( () => compile({ p: 'string$' }), /Bad type/ );
+        assert.throws( () => compile({ p: 'function(x)' }), /Bad type/ );
+        assert.throws( () => compile({ p: '' }), /Bad type/ );
+    });
+
+    it('should reuse compiled definitions', function() {
+        const iftest = compile({ p: 'string' });
+        assert.equal( compile( iftest ), iftest );
+        assert( compile({ nested: iftest })({ nested: { p: 'a' } }) );
+    });
+
+});
@@ -0,0 +1,75 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const settings = {
+    message: 'Test message'
+}
+
+function db( settings ) {
+    return {
+        getMessage: () => settings.message
+    }
+}
+
+function cache( settings ) {
+    return {};
+}
+
+function out( db, cache, settings ) {
+    return {
+        getMessage: () => db.getMessage()
+    };
+}
+
+const logger = () => {};
+
+describe('layer inference', function() {
+
+    it('should place services in the lowest possible layer', function() {
+        const layers = understruct.inferLayers({ out, db, cache, settings });
+        assert.deepEqual( layers.map( layer => Object.keys( layer ) ), [
+            ['settings'],
+            ['db','cache'],
+            ['out']
+        ]);
+    });
+
+    it('should start a backbone from a flat service map', async function() {
+        const app = await understruct.autostart({ out, db, cache, settings }, logger );
+        let { out: service } = app.services;
+        assert( service.getMessage() === settings.message );
+    });
+
+    it('should report unresolved dependencies', function() {
+        assert.throws( () => {
+            understruct.inferLayers({ out, db, settings });
+        }, /^Error: Unresolved dependency: 'cache' for 'out'$/ );
+    });
+
+    it('should report dependency cycles', function() {
+        const a = function( b ) {};
+        const b = function( c ) {};
+        const c = function( a ) {};
+        assert.throws( () => {
+            understruct.inferLayers({ settings, a, b, c });
+        }, /^Error: Dependency cycle: a -> b -> c -> a$/ );
+    });
+
+});
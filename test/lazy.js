@@ -0,0 +1,255 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const { lazy } = understruct;
+
+const logger = () => {};
+
+describe('lazy services', function() {
+
+    let app, created, stopped;
+
+    // Make a lazy service factory which records when it is instantiated
+    // and stopped.
+    const lazyService = id => lazy( settings => {
+        created.push( id );
+        return { id, settings, ping: () => 'pong', stop: () => { stopped.push( id ) } };
+    });
+
+    beforeEach( function() {
+        created = [];
+        stopped = [];
+    });
+
+    afterEach( async function() {
+        if( app ) {
+            await app.stop();
+            app = undefined;
+        }
+    });
+
+    it('should only accept functions', function() {
+        assert.throws( () => lazy({}), TypeError );
+    });
+
+    it('should not instantiate lazy services at startup', async function() {
+        app = await understruct.start([
+            { settings: { name: 'settings' } },
+            { reports: lazyService('reports') }
+        ], logger );
+        assert.deepEqual( created, [] );
+        assert( app.services.hasOwnProperty('reports') );
+        assert.deepEqual( app.describe().services.find( s => s.name == 'reports').lazy, true );
+    });
+
+    it('should instantiate a lazy service requested using get', async function() {
+        app = await understruct.start([
+            { settings: { name: 'settings' } },
+            { reports: lazyService('reports') }
+        ], logger );
+        const binds = [];
+        app.on('service-bind', ({ name }) => binds.push( name ) );
+        const [ reports1, reports2 ] = await Promise.all([ app.get('reports'), app.get('reports') ]);
+        assert.equal( reports1, reports2 );
+        assert.equal( reports1.settings.name, 'settings');
+        assert.deepEqual( created, ['reports'] );
+        assert.deepEqual( binds, ['reports'] );
+        assert.equal( app.services.reports, reports1 );
+        assert.equal( app.describe().services.find( s => s.name == 'reports').lazy, undefined );
+    });
+
+    it('should return a promise for lazy services accessed through services', async function() {
+        app = await understruct.start([
+            { settings: {} },
+            { reports: lazyService('reports') }
+        ], logger );
+        const pending = app.services.reports;
+        assert( pending instanceof Promise );
+        const reports = await pending;
+        assert.equal( reports.ping(), 'pong');
+        assert.equal( app.services.reports, reports );
+    });
+
+    it('should get eagerly instantiated services', async function() {
+        app = await understruct.start([{ settings: { name: 'settings' } }], logger );
+        assert.equal( (await app.get('settings')).name, 'settings');
+        try {
+            await app.get('missing');
+            assert( false );
+        }
+        catch( e ) {
+            assert( /Service not bound: 'missing'/.test( e.message ) );
+        }
+    });
+
+    it('should instantiate lazy services when injected', async function() {
+        app = await understruct.start([
+            { settings: {} },
+            { db: lazyService('db') },
+            { cache: lazy( db => { created.push('cache'); return { db } } ) },
+            { api: cache => ({ cache }) }
+        ], logger );
+        assert.deepEqual( created, ['db','cache'] );
+        assert.equal( app.services.api.cache.db.id, 'db');
+    });
+
+    it('should instantiate lazy services in a parent scope', async function() {
+        app = await understruct.start([
+            { settings: {} },
+            { db: lazyService('db') }
+        ], logger );
+        const scope = await app.createScope([{ tenant: db => ({ db }) }]);
+        assert.equal( scope.services.tenant.db.id, 'db');
+        assert.equal( app.services.db.id, 'db');
+        await scope.stop();
+    });
+
+    it('should wrap lazy instantiation errors', async function() {
+        let attempts = 0;
+        app = await understruct.start([
+            { reports: lazy( () => {
+                if( attempts++ == 0 ) {
+                    throw new Error('Report failure');
+                }
+                return { id: 'reports' };
+            }) }
+        ], logger );
+        try {
+            await app.get('reports');
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, 'Instantiating module "reports"');
+            assert.equal( e.cause.message, 'Report failure');
+        }
+        // Instantiation is retried on next use.
+        assert.equal( (await app.get('reports')).id, 'reports');
+    });
+
+    it('should apply service timeouts to lazy instantiation', async function() {
+        let delay = 40;
+        app = await understruct.start([
+            { reports: lazy( () => new Promise( resolve => {
+                setTimeout( () => resolve({ id: 'reports', stop: () => { stopped.push('reports') } }), delay );
+            })) }
+        ], { log: logger, timeouts: { reports: 20 } });
+        try {
+            await app.get('reports');
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, "Timeout instantiating lazy service 'reports'");
+        }
+        // The timed out service is stopped once it becomes available.
+        await new Promise( resolve => setTimeout( resolve, 30 ) );
+        assert.deepEqual( stopped, ['reports'] );
+        // Instantiation is retried on next use.
+        delay = 1;
+        assert.equal( (await app.get('reports')).id, 'reports');
+    });
+
+    it('should profile lazy instantiation', async function() {
+        const instantiated = [];
+        app = await understruct.start([
+            { settings: {} },
+            { reports: lazyService('reports') }
+        ], { log: logger, listeners: { 'service-instantiated': event => instantiated.push( event ) } });
+        await app.get('reports');
+        const report = app.profile();
+        const timing = report.services.find( s => s.name == 'reports');
+        assert.equal( timing.layer, 1 );
+        assert.equal( timing.lazy, true );
+        // Lazy services don't contribute to startup time.
+        assert.deepEqual( report.criticalPath.services, ['settings'] );
+        assert.deepEqual( instantiated.map( event => [ event.name, event.layer, event.lazy ] ), [
+            ['settings', 0, undefined],
+            ['reports', 1, true]
+        ]);
+    });
+
+    it('should wrap errors from lazy dependencies', async function() {
+        try {
+            app = await understruct.start([
+                { db: lazy( () => { throw new Error('No connection') }) },
+                { api: db => ({ db }) }
+            ], logger );
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, 'Instantiating module "api"');
+            assert.equal( e.cause.message, 'Instantiating module "db"');
+            assert.equal( e.cause.cause.message, 'No connection');
+        }
+    });
+
+    it('should skip uninstantiated lazy services', async function() {
+        app = await understruct.start([
+            { settings: {} },
+            { reports: lazyService('reports') }
+        ], logger );
+        assert.deepEqual( app.listConformingServices({ ping: 'function' }), [] );
+        const health = await app.health();
+        assert.equal( health.status, 'ok');
+        assert.deepEqual( created, [] );
+        await app.stop();
+        app = undefined;
+        assert.deepEqual( created, [] );
+        assert.deepEqual( stopped, [] );
+    });
+
+    it('should stop instantiated lazy services', async function() {
+        app = await understruct.start([
+            { settings: {} },
+            { reports: lazyService('reports') }
+        ], logger );
+        await app.get('reports');
+        assert.deepEqual( app.listConformingServices({ ping: 'function' }), ['reports'] );
+        await app.stop();
+        app = undefined;
+        assert.deepEqual( stopped, ['reports'] );
+    });
+
+    it('should unbind uninstantiated lazy services', async function() {
+        app = await understruct.start([
+            { settings: {} },
+            { reports: lazyService('reports') }
+        ], logger );
+        const removed = await app.unbind('reports');
+        assert.equal( removed, undefined );
+        assert.equal( app.services.reports, undefined );
+        assert.deepEqual( created, [] );
+    });
+
+    it('should read lazy services from manifests', function() {
+        const layers = understruct.resolveManifest({
+            layers: [{ db: { module: () => ({}), lazy: true } }]
+        });
+        assert.equal( typeof layers[0].db.definition, 'function');
+    });
+
+    it('should infer layers for lazy services', function() {
+        const layers = understruct.inferLayers({
+            settings: {},
+            db: lazy( settings => ({ settings }) )
+        });
+        assert.deepEqual( layers.map( layer => Object.keys( layer ) ), [['settings'],['db']] );
+    });
+
+});
@@ -0,0 +1,134 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+const { makeLogger } = understruct;
+
+// Make a logger object which records all entries.
+function recorder() {
+    const entries = [];
+    const logger = { entries };
+    ['debug','info','warn','error'].forEach( level => {
+        logger[level] = ( message, fields ) => entries.push({ level, message, fields });
+    });
+    return logger;
+}
+
+describe('logger', function() {
+
+    it('should pass info and above to a logging function', function() {
+        const entries = [];
+        const logger = makeLogger( function() {
+            entries.push( Array.from( arguments ) );
+        });
+        logger.debug('a');
+        logger.info('b', { service: 'db' });
+        logger.warn('c');
+        logger.error('d');
+        assert.deepEqual( entries, [['b'],['c'],['d']] );
+    });
+
+    it('should pass node-ipc output to a logging function', function() {
+        const entries = [];
+        const logger = makeLogger( message => entries.push( message ) ).child({ ipc: 'x' });
+        logger.debug('a');
+        logger.debug('b', { source: 'node-ipc' });
+        assert.deepEqual( entries, ['b'] );
+    });
+
+    it('should apply a minimum level to a logging function', function() {
+        const entries = [];
+        const logger = makeLogger( message => entries.push( message ), 'debug');
+        logger.debug('a');
+        assert.deepEqual( entries, ['a'] );
+        assert.throws( () => makeLogger( () => {}, 'verbose'), /Invalid log level: verbose/ );
+    });
+
+    it('should pass all entries to a logger object', function() {
+        const target = recorder();
+        const logger = makeLogger( target ).child({ service: 'db' });
+        logger.debug('a', { layer: 1 });
+        assert.deepEqual( target.entries, [{ level: 'debug', message: 'a', fields: { service: 'db', layer: 1 } }] );
+        assert.throws( () => makeLogger({ info: () => {} }), /Logger is missing methods: debug, warn, error/ );
+    });
+
+});
+
+describe('startup logging and events', function() {
+
+    let target, events;
+
+    before( async function() {
+        target = recorder();
+        events = [];
+        const record = name => event => events.push([ name, event ]);
+        const app = await understruct.start([
+            { settings: {} },
+            { db: settings => new Promise( resolve => setTimeout( () => resolve({}), 10 ) ) }
+        ], {
+            log: target,
+            listeners: {
+                'layer-start':          record('layer-start'),
+                'service-instantiated': record('service-instantiated'),
+                'layer-complete':       record('layer-complete')
+            }
+        });
+        await app.stop();
+    });
+
+    it('should log with structured fields', function() {
+        const binding = target.entries.find( entry => entry.message == '> [1] Binding db...');
+        assert.equal( binding.level, 'info');
+        assert.deepEqual( binding.fields, { service: 'db', layer: 1 } );
+        const instantiated = target.entries.find( entry => entry.message.startsWith('Instantiated db') );
+        assert.equal( instantiated.level, 'debug');
+        assert( instantiated.fields.duration >= 0 );
+    });
+
+    it('should emit startup lifecycle events', function() {
+        assert.deepEqual( events.map( ([ name, event ]) => `${name}:${event.layer}` ), [
+            'layer-start:0',
+            'service-instantiated:0',
+            'layer-complete:0',
+            'layer-start:1',
+            'service-instantiated:1',
+            'layer-complete:1'
+        ]);
+        const [ , instantiated ] = events[4];
+        assert.equal( instantiated.name, 'db');
+        assert( instantiated.duration >= 5 );
+        const [ , complete ] = events[5];
+        assert.deepEqual( complete.services, ['db'] );
+        assert( complete.duration >= instantiated.duration );
+    });
+
+});
+
+describe('IPC service logging', function() {
+
+    it('should default to the backbone logger', async function() {
+        const target = recorder();
+        const service = new understruct.IPCService('logger-test');
+        const app = await understruct.start([ { svc: service.service } ], { log: target });
+        const server = app.services.svc;
+        server._logger.info('hello');
+        assert.deepEqual( target.entries.pop(), { level: 'info', message: 'hello', fields: { ipc: 'logger-test' } } );
+        await app.stop();
+    });
+
+});
@@ -0,0 +1,88 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const understruct = require('../lib');
+const { IPCModeToken } = require('../lib/app');
+
+const logger = () => {};
+
+const fixtures = path.join( __dirname, 'fixtures', 'manifest');
+
+describe('manifests', function() {
+
+    const manifest = understruct.readManifest( path.join( fixtures, 'app.json') );
+    const basedir = fixtures;
+
+    // Describe a list of layers as service names and IPC modes.
+    const plan = layers => layers.map( layer => {
+        return Object.keys( layer ).map( name => {
+            let mode = layer[name][IPCModeToken];
+            return mode ? `${name}:${mode}` : name;
+        });
+    });
+
+    it('should select IPC modes by role', function() {
+        assert.deepEqual( plan( understruct.resolveManifest( manifest, { role: 'api', basedir }) ),
+            [['settings'],['db:client'],['api']] );
+        assert.deepEqual( plan( understruct.resolveManifest( manifest, { role: 'db-worker', basedir }) ),
+            [['settings'],['db:server']] );
+        assert.deepEqual( plan( understruct.resolveManifest( manifest, { role: 'dev', basedir }) ),
+            [['settings'],['db:service'],['api']] );
+    });
+
+    it('should reject unknown roles', function() {
+        assert.throws( () => understruct.resolveManifest( manifest, { role: 'web', basedir }),
+            /Unknown role 'web'; expected one of: api, db-worker, dev/ );
+    });
+
+    it('should require a mode for each role', function() {
+        const manifest = {
+            layers: [ { db: { module: './db', mode: { api: 'client' } } } ]
+        };
+        assert.throws( () => understruct.resolveManifest( manifest, { role: 'worker', basedir }),
+            /No IPC mode for service 'db' in role 'worker'/ );
+        assert.throws( () => understruct.resolveManifest( manifest, { basedir }),
+            /No default IPC mode for service 'db'/ );
+    });
+
+    it('should report missing modules and exports', function() {
+        assert.throws( () => understruct.resolveManifest({ layers: [ { x: './missing' } ] }, { basedir }),
+            /Loading module "\.\/missing" for service 'x'/ );
+        assert.throws( () => understruct.resolveManifest({ layers: [ { x: { module: './api', export: 'nope' } } ] }, { basedir }),
+            /Module "\.\/api" has no export 'nope' for service 'x'/ );
+        assert.throws( () => understruct.resolveManifest({ layers: [ { x: { module: './api', mode: 'client' } } ] }, { basedir }),
+            /IPC mode specified for service 'x', which isn't an IPCService/ );
+    });
+
+    it('should start a backbone from a manifest file', async function() {
+        const app = await understruct.startManifest( path.join( fixtures, 'app.json'), { role: 'dev', log: logger });
+        assert.equal( app.services.api.port, 8080 );
+        assert.equal( app.services.api.db.query('x'), 'result of x');
+        assert.equal( app.services.db.settings.port, 8080 );
+        await app.stop();
+    });
+
+    it('should start a backbone from a JS manifest with a flat service map', async function() {
+        const app = await understruct.startManifest( path.join( fixtures, 'app.js'), { log: logger });
+        assert.deepEqual( app.describe().services.map( s => `${s.layer}:${s.name}` ),
+            ['0:settings','1:db','2:api'] );
+        await app.stop();
+    });
+
+});
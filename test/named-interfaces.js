@@ -0,0 +1,224 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const logger = () => {};
+
+describe('named interfaces', function() {
+
+    let app;
+
+    const interfaces = {
+        Timer:  { getTime: 'function', setTime: 'function' },
+        Store:  { get: 'function', put: 'function' }
+    };
+
+    // Make a timer service.
+    const timer = id => ({ id, provides: 'Timer', getTime: () => 0, setTime: () => {} });
+
+    afterEach( async function() {
+        if( app ) {
+            await app.stop();
+            app = undefined;
+        }
+    });
+
+    it('should define interfaces', async function() {
+        app = await understruct.start([], { log: logger, interfaces });
+        assert.throws( () => app.defineInterface('Timer', {}), /Interface already defined: 'Timer'/ );
+        assert.throws( () => app.defineInterface( 1, {}), TypeError );
+        app.defineInterface('Clock', ['getTime']);
+        // Interfaces are visible to child scopes.
+        const scope = await app.createScope([{ clock: { provides: 'Clock', getTime: () => 0 } }]);
+        assert.deepEqual( scope.listConformingServices('Clock'), ['clock'] );
+        await scope.stop();
+    });
+
+    it('should look up services by interface name', async function() {
+        app = await understruct.start([
+            {
+                timer1: timer('timer1'),
+                // Conforms to the interface, but doesn't declare it.
+                timer2: { getTime: () => 0, setTime: () => {} },
+                timer3: timer('timer3')
+            }
+        ], { log: logger, interfaces });
+        assert.deepEqual( app.listConformingServices('Timer'), ['timer1','timer3'] );
+        assert.deepEqual( app.listConformingServices( interfaces.Timer ), ['timer1','timer2','timer3'] );
+        assert.throws( () => app.listConformingServices('Clock'), /Unknown interface: 'Clock'/ );
+    });
+
+    it('should notify services by interface name', async function() {
+        app = await understruct.start([{ timer1: timer('timer1') }], { log: logger, interfaces });
+        const timers = [];
+        app.onConformingServiceBind('Timer', ( timer, name ) => timers.push( name ) );
+        app.bind('timer2', timer('timer2') );
+        app.bind('timer3', { getTime: () => 0, setTime: () => {} });
+        assert.deepEqual( timers, ['timer1','timer2'] );
+        const [ waited ] = await app.waitForConforming('Timer');
+        assert.equal( waited.id, 'timer1');
+    });
+
+    it('should inject services by interface name', async function() {
+        function make( timer, stores ) {
+            return { timer, stores };
+        }
+        make.inject = {
+            timer:  { conforming: 'Timer' },
+            stores: { conforming: 'Store', list: true }
+        };
+        app = await understruct.start([
+            { timer: timer('timer') },
+            { user: make }
+        ], { log: logger, interfaces });
+        assert.equal( app.services.user.timer.id, 'timer');
+        assert.deepEqual( app.services.user.stores, [] );
+    });
+
+    it('should read interfaces declared by factories and classes', async function() {
+        function makeStore() {
+            return { get: () => {}, put: () => {} };
+        }
+        makeStore.provides = ['Store'];
+        class Clock {
+            getTime() {}
+            setTime() {}
+        }
+        Clock.provides = 'Timer';
+        app = await understruct.start([
+            { store: makeStore, clock: Clock, lazyStore: understruct.lazy( makeStore ) }
+        ], { log: logger, interfaces });
+        await app.get('lazyStore');
+        assert.deepEqual( app.listConformingServices('Store'), ['store','lazyStore'] );
+        assert.deepEqual( app.listConformingServices('Timer'), ['clock'] );
+        assert.deepEqual( app.describe().services.find( s => s.name == 'store').provides, ['Store'] );
+        // Instances bound at runtime declare interfaces through their class.
+        app.bind('clock2', new Clock() );
+        assert.deepEqual( app.listConformingServices('Timer'), ['clock','clock2'] );
+    });
+
+    it('should validate declared interfaces when bound', async function() {
+        app = await understruct.start([], { log: logger, interfaces });
+        assert.throws( () => app.bind('timer', { provides: 'Timer', getTime: () => 0 }),
+            /Service 'timer' doesn't conform to interface 'Timer': property 'setTime' expected function, got undefined/ );
+        assert.throws( () => app.bind('clock', { provides: ['Clock'] }),
+            /Unknown interface 'Clock' provided by service 'clock'/ );
+        assert.throws( () => app.bind('clock', { provides: 1 }), TypeError );
+        assert.equal( app.services.timer, undefined );
+    });
+
+    it('should validate and keep declared interfaces when rebound', async function() {
+        const store = () => ({ get: () => {}, put: () => {} });
+        app = await understruct.start([], { log: logger, interfaces });
+        app.bind('db', store(), ['Store'] );
+        try {
+            await app.rebind('db', { provides: 'Store', get: () => {} });
+            assert( false );
+        }
+        catch( e ) {
+            assert( /Service 'db' doesn't conform to interface 'Store'/.test( e.message ) );
+        }
+        // The replaced service is still bound.
+        assert( app.services.hasOwnProperty('db') );
+        // Interfaces provided by the replaced service are carried over.
+        await app.rebind('db', store() );
+        assert.deepEqual( app.listConformingServices('Store'), ['db'] );
+        try {
+            await app.rebind('db', {});
+            assert( false );
+        }
+        catch( e ) {
+            assert( /Service 'db' doesn't conform to interface 'Store'/.test( e.message ) );
+        }
+        await app.rebind('db', {}, { provides: [] });
+        assert.deepEqual( app.listConformingServices('Store'), [] );
+    });
+
+    it('should keep declared interfaces of intercepted services', async function() {
+        const calls = [];
+        function makeStore() {
+            return { get: () => 'value', put: () => {} };
+        }
+        makeStore.provides = 'Store';
+        function makeUser( store ) {
+            return { store };
+        }
+        makeUser.inject = { store: { conforming: 'Store' } };
+        app = await understruct.start([{ db: makeStore }], { log: logger, interfaces });
+        assert.deepEqual( app.listConformingServices('Store'), ['db'] );
+        app.intercept('db', { before: call => calls.push( call.method ) });
+        assert.deepEqual( app.listConformingServices('Store'), ['db'] );
+        assert.deepEqual( app.describe().services.find( s => s.name == 'db').provides, ['Store'] );
+        const bound = [];
+        app.onConformingServiceBind('Store', ( store, name ) => bound.push( name ) );
+        assert.deepEqual( bound, ['db'] );
+        const scope = await app.createScope([{ user: makeUser }]);
+        assert.equal( scope.services.user.store.get(), 'value');
+        assert.deepEqual( calls, ['get'] );
+        await scope.stop();
+    });
+
+    it('should retry lazy services which don\'t provide their declared interfaces', async function() {
+        const stopped = [];
+        let attempts = 0;
+        function makeStore() {
+            attempts++;
+            const store = { stop: () => { stopped.push( attempts ) } };
+            if( attempts > 1 ) {
+                Object.assign( store, { get: () => {}, put: () => {} });
+            }
+            return store;
+        }
+        makeStore.provides = 'Store';
+        app = await understruct.start([{ db: understruct.lazy( makeStore ) }], { log: logger, interfaces });
+        try {
+            await app.get('db');
+            assert( false );
+        }
+        catch( e ) {
+            assert( /Service 'db' doesn't conform to interface 'Store'/.test( e.message ) );
+        }
+        // Give the failed instance's stop a chance to run.
+        await new Promise( resolve => setImmediate( resolve ) );
+        assert.deepEqual( stopped, [1] );
+        const db = await app.get('db');
+        assert.equal( typeof db.get, 'function');
+        assert.deepEqual( app.listConformingServices('Store'), ['db'] );
+    });
+
+    it('should fail startup when a service doesn\'t provide its declared interfaces', async function() {
+        const stopped = [];
+        try {
+            app = await understruct.start([
+                { db: { stop: () => { stopped.push('db') } } },
+                { store: () => ({ provides: 'Store', get: () => {}, stop: () => { stopped.push('store') } }) }
+            ], { log: logger, interfaces });
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, "Service 'store' doesn't conform to interface 'Store': "
+                +"property 'put' expected function, got undefined");
+            assert.deepEqual( e.mismatches, [{ path: 'put', expected: 'function', actual: 'undefined' }] );
+        }
+        // Give the failed service's stop a chance to run.
+        await new Promise( resolve => setImmediate( resolve ) );
+        assert.deepEqual( stopped.sort(), ['db','store'] );
+    });
+
+});
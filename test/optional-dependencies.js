@@ -0,0 +1,119 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const settings = {
+    message: 'Test message'
+}
+
+const postgresDb = {
+    getMessage: () => settings.message
+}
+
+const logger = () => {};
+
+describe('optional dependencies', function() {
+
+    it('should pass undefined for parameters with default values', async function() {
+        function out( settings, cache = 'no cache' ) {
+            return { cache };
+        }
+        const app = await understruct.start([{ settings }, { out }], logger );
+        assert( app.services.out.cache === 'no cache' );
+    });
+
+    it('should pass declared defaults', async function() {
+        function out( settings, cache ) {
+            return { cache };
+        }
+        out.inject = { cache: { default: 'no cache' } };
+        const app = await understruct.start([{ settings }, { out }], logger );
+        assert( app.services.out.cache === 'no cache' );
+    });
+
+    it('should resolve optional dependencies which are bound', async function() {
+        const cache = {};
+        function out( cache = 'no cache' ) {
+            return { cache };
+        }
+        const app = await understruct.start([{ cache }, { out }], logger );
+        assert( app.services.out.cache === cache );
+    });
+
+    it('should support optional names in inject lists', async function() {
+        function out( s, c ) {
+            return { s, c };
+        }
+        out.inject = ['settings','cache?'];
+        const app = await understruct.start([{ settings }, { out }], logger );
+        assert( app.services.out.s === settings );
+        assert( app.services.out.c === undefined );
+    });
+
+    it('should be ignored by layer inference when not bound', function() {
+        function out( settings, cache = null ) {}
+        const layers = understruct.inferLayers({ out, settings });
+        assert.deepEqual( layers.map( layer => Object.keys( layer ) ), [['settings'],['out']] );
+    });
+
+});
+
+describe('aliased dependencies', function() {
+
+    it('should inject services under a different parameter name', async function() {
+        function out( db ) {
+            return { getMessage: () => db.getMessage() };
+        }
+        out.inject = { db: 'postgresDb' };
+        const app = await understruct.start([{ postgresDb }, { out }], logger );
+        assert( app.services.out.getMessage() === settings.message );
+        assert.deepEqual( app.describe().services[1].dependencies, ['postgresDb'] );
+    });
+
+    it('should reject declarations not matching a parameter', function() {
+        function out( db ) {}
+        out.inject = { store: 'postgresDb' };
+        assert.throws( () => understruct.inferLayers({ out }), /don't match any argument.*: store$/ );
+    });
+
+});
+
+describe('conforming dependency lists', function() {
+
+    it('should inject all conforming services', async function() {
+        const a = { route: () => 'a' };
+        const b = { route: () => 'b' };
+        function http( routes ) {
+            return { routes };
+        }
+        http.inject = { routes: { conforming: { route: 'function' }, list: true } };
+        const app = await understruct.start([{ settings, a, b }, { http }], logger );
+        assert.deepEqual( app.services.http.routes, [a, b] );
+    });
+
+    it('should inject an empty list when no services conform', async function() {
+        function http( routes ) {
+            return { routes };
+        }
+        http.inject = { routes: { conforming: { route: 'function' }, list: true } };
+        const app = await understruct.start([{ settings }, { http }], logger );
+        assert.deepEqual( app.services.http.routes, [] );
+    });
+
+});
@@ -0,0 +1,100 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const understruct = require('../lib');
+
+const logger = () => {};
+
+// A factory which resolves after a delay.
+const delay = ms => () => new Promise( resolve => setTimeout( () => resolve({}), ms ) );
+
+describe('startup profiling', function() {
+
+    const trace = path.join( os.tmpdir(), `understruct-trace-${process.pid}.json`);
+
+    let app, report;
+
+    before( async function() {
+        const ipc = new understruct.IPCService('profile-test');
+        ipc.initServer = function( settings ) {
+            return new Promise( resolve => setTimeout( resolve, 20 ) );
+        };
+        app = await understruct.start([
+            { settings: {} },
+            { fast: delay( 5 ), slow: delay( 30 ), ipc: ipc.service },
+            { top: delay( 10 ) }
+        ], { log: logger, trace });
+        report = app.profile();
+    });
+
+    after( async function() {
+        await app.stop();
+        fs.unlinkSync( trace );
+    });
+
+    it('should time each service', function() {
+        const names = report.services.map( service => service.name );
+        assert.deepEqual( names.slice().sort(), ['fast','ipc','settings','slow','top'] );
+        // Services are listed slowest first.
+        assert.equal( names[0], 'slow');
+        const slow = report.services[0];
+        assert.equal( slow.layer, 1 );
+        assert( slow.duration >= 25 );
+        assert( slow.start >= 0 );
+    });
+
+    it('should time IPC init functions', function() {
+        const ipc = report.services.find( service => service.name == 'ipc');
+        assert.equal( ipc.init.mode, 'service');
+        assert( ipc.init.duration >= 15 );
+        assert( ipc.init.duration <= ipc.duration );
+        assert( ipc.init.start >= ipc.start );
+    });
+
+    it('should time each layer', function() {
+        assert.deepEqual( report.layers.map( layer => layer.layer ), [0,1,2] );
+        assert.deepEqual( report.layers[1].services, ['fast','slow','ipc'] );
+        assert.equal( report.layers[1].slowest, 'slow');
+        assert( report.layers[1].duration >= report.services[0].duration );
+        assert( report.duration >= report.layers[2].start + report.layers[2].duration );
+    });
+
+    it('should compute the critical path', function() {
+        assert.deepEqual( report.criticalPath.services, ['settings','slow','top'] );
+        assert( report.criticalPath.duration >= 35 );
+        assert( report.criticalPath.duration <= report.duration );
+    });
+
+    it('should write a Chrome trace file', function() {
+        const { traceEvents } = JSON.parse( fs.readFileSync( trace ) );
+        const complete = traceEvents.filter( event => event.ph == 'X');
+        const names = complete.map( event => event.name );
+        assert( names.includes('Layer 1') );
+        assert( names.includes('slow') );
+        assert( names.includes('ipc.initServer') );
+        const slow = complete.find( event => event.name == 'slow');
+        assert.equal( slow.cat, 'service');
+        assert( slow.dur >= 25000 );
+        const thread = traceEvents.find( event => event.ph == 'M' && event.tid === slow.tid );
+        assert.equal( thread.args.name, '[1] slow');
+    });
+
+});
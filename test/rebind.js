@@ -0,0 +1,123 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const logger = () => {};
+
+describe('rebinding services', function() {
+
+    let app, stopped;
+
+    // Make a service which records when it is stopped.
+    const stoppable = id => ({ id, query: () => {}, stop: () => { stopped.push( id ) } });
+
+    beforeEach( async function() {
+        stopped = [];
+        app = await understruct.start([
+            { db: stoppable('db1') },
+            { api: db => ({ db }) }
+        ], logger );
+    });
+
+    afterEach( async function() {
+        await app.stop();
+    });
+
+    it('should not bind a name twice', function() {
+        assert.throws( () => app.bind('db', {}), /Service already bound: 'db'/ );
+    });
+
+    it('should replace a service', async function() {
+        const events = [];
+        app.on('service-unbind', ({ name, service }) => events.push(`unbind:${name}:${service.id}`) );
+        app.on('service-bind', ({ name, service }) => events.push(`bind:${name}:${service.id}`) );
+        const replaced = await app.rebind('db', stoppable('db2') );
+        assert.equal( replaced.id, 'db1');
+        assert.equal( app.services.db.id, 'db2');
+        assert.deepEqual( events, ['unbind:db:db1','bind:db:db2'] );
+        assert.deepEqual( stopped, [] );
+        // The replaced service stays in its layer.
+        assert.equal( app.describe().services.find( s => s.name == 'db').layer, 0 );
+    });
+
+    it('should optionally stop a replaced service', async function() {
+        await app.rebind('db', stoppable('db2'), { stop: true });
+        assert.deepEqual( stopped, ['db1'] );
+        await app.stop();
+        assert.deepEqual( stopped, ['db1','db2'] );
+    });
+
+    it('should notify repeating bind callbacks', async function() {
+        const bound = [];
+        app.onServiceBind('db', db => bound.push( db.id ), false );
+        await app.rebind('db', stoppable('db2') );
+        assert.deepEqual( bound, ['db1','db2'] );
+    });
+
+    it('should not rebind an unbound name', async function() {
+        try {
+            await app.rebind('cache', {});
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, "Service not bound: 'cache'");
+        }
+    });
+
+    it('should unbind a service', async function() {
+        const unbound = [];
+        app.onServiceUnbind('db', db => unbound.push( db.id ) );
+        const service = await app.unbind('db', { stop: true });
+        assert.equal( service.id, 'db1');
+        assert.equal( app.services.db, undefined );
+        assert.deepEqual( unbound, ['db1'] );
+        assert.deepEqual( stopped, ['db1'] );
+        const graph = app.describe();
+        assert.deepEqual( graph.services.map( s => s.name ), ['api'] );
+        assert.deepEqual( graph.edges, [] );
+        // A new service can now be bound under the name, and is stopped
+        // with the backbone.
+        app.bind('db', stoppable('db2') );
+        await app.stop();
+        assert.deepEqual( stopped, ['db1','db2'] );
+        assert.equal( app.services.db, undefined );
+    });
+
+    it('should notify conforming listeners when a service leaves', async function() {
+        const events = [];
+        app.onConformingServiceBind({ query: 'function' },
+            ( service, name ) => events.push(`bind:${name}:${service.id}`),
+            ( service, name ) => events.push(`unbind:${name}:${service.id}`) );
+        await app.rebind('db', stoppable('db2') );
+        await app.rebind('db', { id: 'db3' } );
+        await app.unbind('db');
+        assert.deepEqual( events, ['bind:db:db1','unbind:db:db1','bind:db:db2','unbind:db:db2'] );
+    });
+
+    it('should forward unbind events to child scopes', async function() {
+        const scope = await app.createScope([ { local: {} } ]);
+        const unbound = [];
+        scope.onServiceUnbind('db', db => unbound.push( db.id ) );
+        scope.onServiceUnbind('local', db => unbound.push('local') );
+        await app.unbind('db');
+        await scope.unbind('local');
+        assert.deepEqual( unbound, ['db1','local'] );
+    });
+
+});
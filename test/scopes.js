@@ -0,0 +1,101 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const settings = {
+    message: 'Test message'
+}
+
+function db( settings ) {
+    return {
+        getMessage: () => settings.message
+    }
+}
+
+function tenant( db ) {
+    return {
+        getMessage: () => db.getMessage()
+    };
+}
+
+const logger = () => {};
+
+describe('child scopes', function() {
+
+    let app, scope;
+
+    before( async function() {
+        app = await understruct.start([
+            { settings },
+            { db }
+        ], logger );
+        scope = await app.createScope([
+            { tenant }
+        ]);
+    });
+
+    after( async function() {
+        await app.stop();
+    });
+
+    it('should inject services from the parent', function() {
+        assert( scope.services.tenant.getMessage() === settings.message );
+    });
+
+    it('should look up parent services', function() {
+        assert( scope.services.db === app.services.db );
+        assert( app.services.tenant === undefined );
+    });
+
+    it('should notify bind callbacks of services bound to the parent', function() {
+        let bound;
+        scope.onServiceBind('late', service => bound = service );
+        app.bind('late', { late: true });
+        assert( bound === app.services.late );
+    });
+
+    it('should list conforming services from the parent', function() {
+        const names = scope.listConformingServices({ getMessage: 'function' });
+        assert.deepEqual( names, ['tenant','db'] );
+    });
+
+    it('should allow services to hide parent services', async function() {
+        const child = await app.createScope([{ settings: { message: 'Tenant message' } }, { db }]);
+        assert( child.services.db.getMessage() === 'Tenant message' );
+        assert( app.services.db.getMessage() === settings.message );
+        await child.stop();
+    });
+
+    it('should stop independently of the parent', async function() {
+        const child = await app.createScope([{ tenant }]);
+        await child.stop();
+        assert( child.services.tenant === undefined );
+        assert( app.services.db !== undefined );
+        assert( !app._scopes.has( child ) );
+    });
+
+    it('should be stopped with the parent', async function() {
+        const stopped = [];
+        const parent = await understruct.start([{ a: { stop: () => stopped.push('a') } }], logger );
+        await parent.createScope([{ b: { stop: () => stopped.push('b') } }]);
+        await parent.stop();
+        assert.deepEqual( stopped, ['b','a'] );
+    });
+
+});
@@ -0,0 +1,206 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const logger = () => {};
+
+describe('startup failures', function() {
+
+    let stopped;
+
+    // Make a service which records when it is stopped.
+    const stoppable = name => ({ stop: () => { stopped.push( name ) } });
+
+    // Make a factory which fails with the specified message.
+    const failing = message => function() {
+        throw new Error( message );
+    };
+
+    beforeEach( function() {
+        stopped = [];
+    });
+
+    it('should report a single failure as-is', async function() {
+        try {
+            await understruct.start([
+                { settings: stoppable('settings') },
+                { db: failing('no db'), cache: () => stoppable('cache') }
+            ], logger );
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, 'Instantiating module "db"');
+            assert.equal( e.cause.message, 'no db');
+            assert.equal( e.errors, undefined );
+        }
+    });
+
+    it('should collect all failures in a layer', async function() {
+        try {
+            await understruct.start([
+                { a: failing('a failed'), b: () => ({}), c: failing('c failed') }
+            ], logger );
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, 'Failed to start 2 services in layer 0');
+            assert.deepEqual( e.errors.map( err => err.message ), [
+                'Instantiating module "a"',
+                'Instantiating module "c"'
+            ]);
+            assert.deepEqual( e.errors.map( err => err.cause.message ), ['a failed','c failed'] );
+            assert.strictEqual( e.cause, e.errors[0] );
+        }
+    });
+
+    it('should wait for slower services before failing', async function() {
+        try {
+            await understruct.start([
+                {
+                    db: failing('no db'),
+                    cache: () => new Promise( resolve => {
+                        setTimeout( () => resolve( stoppable('cache') ), 20 );
+                    })
+                }
+            ], logger );
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.cause.message, 'no db');
+            assert.deepEqual( stopped, ['cache'] );
+        }
+    });
+
+    it('should stop started services in reverse order', async function() {
+        try {
+            await understruct.start([
+                { settings: stoppable('settings') },
+                { db: settings => stoppable('db') },
+                { cache: db => stoppable('cache'), api: failing('no api') }
+            ], logger );
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.cause.message, 'no api');
+            assert.deepEqual( stopped, ['cache','db','settings'] );
+        }
+    });
+
+    it('should report the startup failure when a service fails to stop', async function() {
+        const messages = [];
+        const failStop = { stop: () => { throw new Error('stop failed') } };
+        try {
+            await understruct.start([
+                { settings: stoppable('settings'), failStop },
+                { db: failing('no db') }
+            ], msg => messages.push( msg ) );
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.cause.message, 'no db');
+            assert.deepEqual( stopped, ['settings'] );
+            assert( messages.includes('Stopping service "failStop": stop failed') );
+        }
+    });
+
+    it('should stop services which start after a layer times out', async function() {
+        try {
+            await understruct.start([
+                {
+                    db: () => new Promise( resolve => {
+                        setTimeout( () => resolve( stoppable('db') ), 30 );
+                    })
+                }
+            ], { log: logger, layerTimeout: 10 });
+            assert( false );
+        }
+        catch( e ) {
+            assert( e.message.startsWith("Timeout starting layer 0") );
+            assert.deepEqual( stopped, [] );
+        }
+        await new Promise( resolve => setTimeout( resolve, 40 ) );
+        assert.deepEqual( stopped, ['db'] );
+    });
+
+    it('should stop timed out services which start before the rest of the layer', async function() {
+        // Make a factory resolving to a stoppable service after a delay.
+        const delayed = ( name, ms ) => () => new Promise( resolve => {
+            setTimeout( () => resolve( stoppable( name ) ), ms );
+        });
+        try {
+            await understruct.start([
+                { db: delayed('db', 40 ), cache: delayed('cache', 80 ) }
+            ], { log: logger, timeouts: { db: 20 } });
+            assert( false );
+        }
+        catch( e ) {
+            assert( e.message.startsWith("Timeout starting service 'db' in layer 0") );
+        }
+        assert.deepEqual( stopped.sort(), ['cache','db'] );
+    });
+
+    it('should not list failed services as pending', async function() {
+        try {
+            await understruct.start([
+                { bad: failing('bad'), db: () => new Promise( () => {} ) }
+            ], { log: logger, layerTimeout: 20 });
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, 'Failed to start 2 services in layer 0');
+            assert.equal( e.errors[0].cause.message, 'bad');
+            assert.deepEqual( e.errors[1].pending.map( p => p.name ), ['db'] );
+        }
+    });
+
+    it('should fail before instantiating a layer which reuses a bound name', async function() {
+        const created = [];
+        try {
+            await understruct.start([
+                { a: stoppable('a1'), b: stoppable('b') },
+                { a: () => { created.push('a2'); return stoppable('a2') } }
+            ], logger );
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, "Service already bound: 'a'");
+        }
+        assert.deepEqual( created, [] );
+        assert.deepEqual( stopped.sort(), ['a1','b'] );
+    });
+
+    it('should stop a failed scope without stopping its parent', async function() {
+        const app = await understruct.start([ { settings: stoppable('settings') } ], logger );
+        try {
+            await app.createScope([
+                { tenant: settings => stoppable('tenant') },
+                { session: failing('no session') }
+            ]);
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.cause.message, 'no session');
+            assert.deepEqual( stopped, ['tenant'] );
+            assert.equal( app._scopes.size, 0 );
+            assert( app.services.settings );
+        }
+        await app.stop();
+    });
+
+});
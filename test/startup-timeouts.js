@@ -0,0 +1,87 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const settings = {};
+
+// A factory which resolves after a delay.
+const delay = ms => () => new Promise( resolve => setTimeout( () => resolve({}), ms ) );
+
+// A factory which never resolves.
+const stall = () => new Promise( () => {} );
+
+const log = () => {};
+
+describe('startup timeouts', function() {
+
+    it('should fail when a service exceeds the service timeout', async function() {
+        try {
+            await understruct.start([
+                { settings },
+                { db: stall, cache: stall, fast: delay( 1 ) }
+            ], { log, serviceTimeout: 30 });
+            assert( false );
+        }
+        catch( e ) {
+            // Both stalled services time out.
+            assert.equal( e.message, 'Failed to start 2 services in layer 1');
+            let [ err ] = e.errors;
+            assert( /^Timeout starting service 'db' in layer 1; pending services: 'db' \(\d+ms\), 'cache' \(\d+ms\)$/.test( err.message ) );
+            assert.deepEqual( err.pending.map( p => p.name ), ['db','cache'] );
+            // Note that timers can fire slightly early relative to Date.now().
+            assert( err.pending[0].elapsed >= 25 );
+        }
+    });
+
+    it('should apply per-service timeouts', async function() {
+        try {
+            await understruct.start([
+                { slow: delay( 50 ), db: stall }
+            ], { log, serviceTimeout: 100, timeouts: { db: 10 } });
+            assert( false );
+        }
+        catch( e ) {
+            assert( e.message.startsWith("Timeout starting service 'db' in layer 0") );
+            assert.deepEqual( e.pending.map( p => p.name ), ['slow','db'] );
+        }
+    });
+
+    it('should fail when a layer exceeds the layer timeout', async function() {
+        try {
+            await understruct.start([
+                { settings },
+                { db: delay( 1 ), cache: stall }
+            ], { log, layerTimeout: 30 });
+            assert( false );
+        }
+        catch( e ) {
+            assert( e.message.startsWith("Timeout starting layer 1; pending services: 'cache'") );
+            assert.deepEqual( e.pending.map( p => p.name ), ['cache'] );
+        }
+    });
+
+    it('should start services within their timeouts', async function() {
+        const app = await understruct.start([
+            { settings },
+            { db: delay( 1 ) }
+        ], { log, serviceTimeout: 100, layerTimeout: 100 });
+        assert( app.services.db !== undefined );
+    });
+
+});
@@ -0,0 +1,98 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+
+const logger = () => {};
+
+describe('stopping the backbone', function() {
+
+    let app, stopped;
+
+    before( async function() {
+        stopped = [];
+        const settings = {
+            stop: () => stopped.push('settings')
+        };
+        function db( settings ) {
+            return {
+                stop: () => new Promise( resolve => {
+                    setTimeout( () => {
+                        stopped.push('db');
+                        resolve();
+                    }, 20 );
+                })
+            };
+        }
+        function out( db ) {
+            return {
+                dispose: () => stopped.push('out')
+            };
+        }
+        function plain( db ) {
+            return {};
+        }
+        app = await understruct.start([
+            { settings },
+            { db },
+            { out, plain }
+        ], logger );
+    });
+
+    it('should stop services from the top layer down', async function() {
+        const events = [];
+        app.on('stopping', () => events.push('stopping') );
+        app.on('service-stop', ({ name }) => events.push( name ) );
+        app.on('stopped', () => events.push('stopped') );
+        await app.stop();
+        assert.deepEqual( stopped, ['out','db','settings'] );
+        assert( events[0] == 'stopping' );
+        // Services in the same layer are stopped in parallel.
+        assert.deepEqual( events.slice( 1, 3 ).sort(), ['out','plain'] );
+        assert.deepEqual( events.slice( 3 ), ['db','settings','stopped'] );
+    });
+
+    it('should unbind all services', function() {
+        assert.deepEqual( Object.keys( app.services ), [] );
+    });
+
+});
+
+describe('stopping the backbone with a failing service', function() {
+
+    it('should stop remaining services and report the failure', async function() {
+        const stopped = [];
+        const app = await understruct.start([
+            { a: { stop: () => stopped.push('a') } },
+            { b: { stop: () => new Promise( () => {} ) } },
+            { c: { stop: () => Promise.reject( new Error('c failed') ) } }
+        ], logger );
+        try {
+            await app.stop( 50 );
+            assert( false );
+        }
+        catch( e ) {
+            assert( e.errors.length == 2 );
+            assert( e.errors[0].message == 'Stopping service "c"' );
+            assert( e.errors[0].cause.message == 'c failed' );
+            assert( e.errors[1].cause.message == 'Timeout stopping service "b"' );
+        }
+        assert.deepEqual( stopped, ['a'] );
+    });
+
+});
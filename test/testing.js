@@ -0,0 +1,137 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const understruct = require('../lib');
+const { startHarness, fakeIPCService, teardownAll } = understruct.testing;
+
+const settings = {
+    message: 'Test message'
+};
+
+// An IPC service, as in client-server.js.
+const db = new understruct.IPCService('testing-db');
+db.events = ['ping'];
+db.initServer = function( settings ) {
+    this.settings = settings;
+};
+db.messages = {
+    getMessage: function() {
+        return this.settings.message;
+    },
+    sendPing: function() {
+        this.emit('ping');
+    }
+};
+db.methods = {
+    describe: () => 'A test database'
+};
+
+function out( db ) {
+    return {
+        getMessage: () => db.getMessage(),
+        onPing: callback => db.on('ping', callback )
+    };
+}
+
+describe('test harness', function() {
+
+    afterEach( teardownAll );
+
+    it('should replace IPC services with fakes', async function() {
+        const harness = await startHarness([
+            { settings },
+            { db: db.client },
+            { out }
+        ], { fakes: { db: { getMessage: () => 'Fake message' } } });
+        const { services } = harness;
+        assert.equal( await services.out.getMessage(), 'Fake message');
+        assert.equal( await services.db.sendPing(), undefined );
+        assert.equal( services.db.describe(), 'A test database');
+        // Events are raised locally.
+        let pinged = false;
+        services.out.onPing( () => pinged = true );
+        services.db.emit('ping');
+        assert( pinged );
+    });
+
+    it('should record method calls', async function() {
+        const harness = await startHarness([
+            { settings },
+            { db: db.server },
+            { out }
+        ], { fakes: false, overrides: { db: fakeIPCService( db, { getMessage: () => 'Stub' }) } });
+        await harness.services.out.getMessage();
+        const calls = harness.calls('db');
+        assert.equal( calls.length, 1 );
+        assert.equal( calls[0].method, 'getMessage');
+        assert.deepEqual( calls[0].args, [] );
+        assert.equal( calls[0].result, 'Stub');
+        assert.equal( harness.calls('out', 'getMessage').length, 1 );
+        harness.reset();
+        assert.deepEqual( harness.calls(), [] );
+    });
+
+    it('should record calls to services with private state', async function() {
+        class Registry {
+            #entries = new Map();
+            register( key, value ) {
+                this.#entries.set( key, value );
+            }
+            get size() {
+                return this.#entries.size;
+            }
+        }
+        const harness = await startHarness([ { registry: Registry, tags: new Set() } ]);
+        const { registry, tags } = harness.services;
+        registry.register('a', 1 );
+        tags.add('a');
+        assert.equal( registry.size, 1 );
+        assert( tags.has('a') );
+        assert.deepEqual( harness.calls('registry').map( call => call.method ), ['register'] );
+        assert.deepEqual( harness.calls('tags').map( call => call.method ), ['add','has'] );
+    });
+
+    it('should override services', async function() {
+        const harness = await startHarness([
+            { settings },
+            { out }
+        ], { overrides: { out: settings => ({ getMessage: () => settings.message }) } });
+        assert.equal( harness.services.out.getMessage(), 'Test message');
+    });
+
+    it('should reject unknown services', async function() {
+        try {
+            await startHarness([ { settings } ], { overrides: { cache: {} } });
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, "Override for unknown service 'cache'");
+        }
+        assert.throws( () => fakeIPCService( db, { query: () => {} } ),
+            /Stub for unknown message 'query' of IPC service 'testing-db'/ );
+    });
+
+    it('should tear down harnesses', async function() {
+        const stopped = [];
+        const harness = await startHarness([ { svc: { stop: () => stopped.push('svc') } } ]);
+        await teardownAll();
+        assert.deepEqual( stopped, ['svc'] );
+        assert.deepEqual( Object.keys( harness.services ), [] );
+    });
+
+});
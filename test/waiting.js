@@ -0,0 +1,171 @@
+/*
+   Copyright 2018 Julian Goacher
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+ */
+
+const assert = require('assert');
+
+const EventEmitter = require('events');
+
+const understruct = require('../lib');
+
+const logger = () => {};
+
+// A minimal abort signal, for Node versions without AbortController.
+class Signal extends EventEmitter {
+
+    constructor() {
+        super();
+        this.aborted = false;
+    }
+
+    addEventListener( name, listener ) {
+        this.on( name, listener );
+    }
+
+    removeEventListener( name, listener ) {
+        this.removeListener( name, listener );
+    }
+
+    abort() {
+        this.aborted = true;
+        this.emit('abort');
+    }
+}
+
+describe('waiting for services', function() {
+
+    let app;
+
+    beforeEach( async function() {
+        app = await understruct.start([{ settings: { name: 'settings' } }], logger );
+    });
+
+    afterEach( async function() {
+        await app.stop();
+    });
+
+    const listenerCount = () => app.listenerCount('service-bind') + app.listenerCount('service-unbind');
+
+    it('should resolve bound services immediately', async function() {
+        const settings = await app.waitFor('settings');
+        assert.equal( settings.name, 'settings');
+        assert.equal( listenerCount(), 0 );
+    });
+
+    it('should wait for a service to be bound', async function() {
+        const waiting = app.waitFor('db', { timeout: 1000 });
+        setTimeout( () => app.bind('db', { name: 'db' }), 5 );
+        const db = await waiting;
+        assert.equal( db.name, 'db');
+        assert.equal( listenerCount(), 0 );
+    });
+
+    it('should time out waiting for a service', async function() {
+        try {
+            await app.waitFor('db', { timeout: 10 });
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, "Timeout waiting for service 'db'");
+        }
+        assert.equal( listenerCount(), 0 );
+    });
+
+    it('should cancel waiting when aborted', async function() {
+        const signal = new Signal();
+        const waiting = app.waitFor('db', { signal });
+        signal.abort();
+        try {
+            await waiting;
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, "Aborted waiting for service 'db'");
+        }
+        assert.equal( listenerCount(), 0 );
+        assert.equal( signal.listenerCount('abort'), 0 );
+        try {
+            await app.waitFor('db', { signal });
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, "Aborted waiting for service 'db'");
+        }
+    });
+
+    it('should instantiate lazy services', async function() {
+        const scope = await app.createScope([{ reports: understruct.lazy( settings => ({ settings }) ) }]);
+        const reports = await scope.waitFor('reports');
+        assert.equal( reports.settings.name, 'settings');
+        await scope.stop();
+    });
+
+    it('should wait for conforming services', async function() {
+        const waiting = app.waitForConforming({ run: 'function' }, { count: 2, timeout: 1000 });
+        app.bind('a', { id: 'a', run: () => {} });
+        app.bind('b', { id: 'b' });
+        app.bind('c', { id: 'c', run: () => {} });
+        app.bind('d', { id: 'd', run: () => {} });
+        const services = await waiting;
+        assert.deepEqual( services.map( s => s.id ), ['a','c'] );
+        assert.equal( listenerCount(), 0 );
+    });
+
+    it('should resolve already bound conforming services', async function() {
+        app.bind('a', { id: 'a', run: () => {} });
+        const services = await app.waitForConforming({ run: 'function' });
+        assert.deepEqual( services.map( s => s.id ), ['a'] );
+        assert.equal( listenerCount(), 0 );
+    });
+
+    it('should time out waiting for conforming services', async function() {
+        app.bind('a', { id: 'a', run: () => {} });
+        try {
+            await app.waitForConforming({ run: 'function' }, { count: 2, timeout: 10 });
+            assert( false );
+        }
+        catch( e ) {
+            assert.equal( e.message, 'Timeout waiting for 2 conforming service(s)');
+        }
+        assert.equal( listenerCount(), 0 );
+    });
+
+    it('should dispose service bind callbacks', function() {
+        const bound = [];
+        const handle = app.onServiceBind('db', db => bound.push( db ), false );
+        const unbindHandle = app.onServiceUnbind('db', db => bound.push( db ) );
+        handle.dispose();
+        unbindHandle.dispose();
+        assert.equal( listenerCount(), 0 );
+        app.bind('db', {});
+        assert.deepEqual( bound, [] );
+        // Callbacks invoked immediately return a handle.
+        app.onServiceBind('db', () => {} ).dispose();
+    });
+
+    it('should dispose conforming service bind callbacks', function() {
+        const bound = [];
+        const handle = app.onConformingServiceBind({ run: 'function' },
+            ( service, name ) => bound.push( name ),
+            ( service, name ) => bound.push(`-${name}`) );
+        app.bind('a', { run: () => {} });
+        handle.dispose();
+        app.bind('b', { run: () => {} });
+        app.unbind('a');
+        assert.deepEqual( bound, ['a'] );
+        assert.equal( listenerCount(), 0 );
+    });
+
+});